@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+const CommandLine = require('../src/commandline');
+
+CommandLine.run(process.argv.slice(2), process.stdout, process.stderr, (exitCode) => {
+    process.exitCode = exitCode;
+});
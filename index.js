@@ -1,7 +1,39 @@
 const FolderSync = require('./src/foldersync');
 const PromiseFolderSync = require('./src/promisefoldersync');
+const EventFolderSync = require('./src/eventfoldersync');
+const WatchFolderSync = require('./src/watchfoldersync');
+const SyncPlan = require('./src/syncplan');
+const SyncReport = require('./src/syncreport');
+const CompareResult = require('./src/compareresult');
+const CompareStrategy = require('./src/comparestrategy');
+const SymlinkPolicy = require('./src/symlinkpolicy');
+const VerifyError = require('./src/verifyerror');
+const SyncError = require('./src/syncerror');
+const SyncJobs = require('./src/syncjobs');
+const SnapshotSync = require('./src/snapshotsync');
+const LinkMode = require('./src/linkmode');
+const RateLimiter = require('./src/ratelimiter');
+const TwoWayFolderSync = require('./src/twowayfoldersync');
+const TwoWaySyncReport = require('./src/twowaysyncreport');
+const ConflictResolution = require('./src/conflictresolution');
 
 module.exports = {
     FolderSync: FolderSync,
-    PromiseFolderSync: PromiseFolderSync
+    PromiseFolderSync: PromiseFolderSync,
+    EventFolderSync: EventFolderSync,
+    WatchFolderSync: WatchFolderSync,
+    SyncPlan: SyncPlan,
+    SyncReport: SyncReport,
+    CompareResult: CompareResult,
+    CompareStrategy: CompareStrategy,
+    SymlinkPolicy: SymlinkPolicy,
+    VerifyError: VerifyError,
+    SyncError: SyncError,
+    SyncJobs: SyncJobs,
+    SnapshotSync: SnapshotSync,
+    LinkMode: LinkMode,
+    RateLimiter: RateLimiter,
+    TwoWayFolderSync: TwoWayFolderSync,
+    TwoWaySyncReport: TwoWaySyncReport,
+    ConflictResolution: ConflictResolution
 };
\ No newline at end of file
@@ -0,0 +1,329 @@
+const FolderSync = require('./foldersync');
+const SyncJobs = require('./syncjobs');
+
+/**
+ * 命令行界面
+ *
+ * 用法：
+ *
+ *     jsfoldersync [options] <source> <dest>
+ *     jsfoldersync [options] --config <file> [job...]
+ *
+ * 第二种形式运行配置文件里的全部同步任务，或者指定名称的任务，配置文件的格式
+ * 请见 SyncJobs。
+ *
+ * 选项：
+ *
+ * - -d, --delete 删除目标文件夹里比源文件夹多出来的内容（即选项 deleteExtraneous）
+ * - -i, --ignore <glob> 忽略匹配模式的源文件，可以使用多次（即选项 ignoreFileGlobs）
+ * - --ignore-file <name> 忽略文件的名称，比如 '.syncignore'（即选项 ignoreFileName）
+ * - -n, --dry-run 仅模拟同步，列出将会执行的操作
+ * - -v, --verbose 列出每一项新建、覆盖以及删除的内容
+ * - --exit-code 目标文件夹有改变时以退出码 1 退出（跟 git diff --exit-code 类似）
+ * - -c, --config <file> 同步任务的配置文件，不能跟 -d、-i 以及 --ignore-file 同时使用，
+ *   这些选项应该写在配置文件里
+ * - -h, --help 显示帮助信息
+ *
+ * 退出码请见 CommandLine.exitCode：
+ *
+ * - 0 同步成功，所以可以直接在 shell 脚本（set -e）以及 npm scripts 里使用；
+ *   使用 --exit-code 时则表示目标文件夹没有改变（模拟同步时为不需要改变）
+ * - 1 仅当使用 --exit-code 时，目标文件夹有改变（模拟同步时为需要改变）
+ * - 2 参数错误或者同步出错
+ *
+ * 运行多个同步任务时，任一任务出错则退出码为 2，否则使用 --exit-code 时任一任务有改变则为 1。
+ */
+class CommandLine {
+
+    /**
+     * 运行命令
+     *
+     * @param {*} args 命令行参数（不包括 node 以及脚本路径），即 process.argv.slice(2)
+     * @param {*} stdout 输出信息的 Writable 流
+     * @param {*} stderr 输出错误信息的 Writable 流
+     * @param {*} callback 回调返回 (exitCode)
+     */
+    static run(args, stdout, stderr, callback) {
+        let commandArguments;
+
+        try {
+            commandArguments = CommandLine.parseArguments(args);
+        } catch (err) {
+            stderr.write(`jsfoldersync: ${err.message}\n`);
+            stderr.write('Try "jsfoldersync --help" for more information.\n');
+            callback(CommandLine.exitCode.error);
+            return;
+        }
+
+        if (commandArguments.isHelp) {
+            stdout.write(USAGE);
+            callback(CommandLine.exitCode.success);
+            return;
+        }
+
+        let { sourceFolderPath, destFolderPath, options, isVerbose, isExitCode,
+            configFilePath, jobNames } = commandArguments;
+
+        if (configFilePath !== undefined) {
+            CommandLine._runJobs(configFilePath, jobNames, options.dryRun, isVerbose, isExitCode,
+                stdout, stderr, callback);
+            return;
+        }
+
+        FolderSync.sync(sourceFolderPath, destFolderPath, options, (err, syncResult) => {
+            if (err) {
+                stderr.write(`jsfoldersync: ${err.message}\n`);
+                callback(CommandLine.exitCode.error);
+                return;
+            }
+
+            CommandLine._printResult(syncResult, options.dryRun, isVerbose, stdout);
+
+            callback((isExitCode && syncResult.hasChanges()) ?
+                CommandLine.exitCode.changed :
+                CommandLine.exitCode.success);
+        });
+    }
+
+    /**
+     * 运行配置文件里的同步任务
+     *
+     * 每一个任务的输出都以 '[任务名称] ' 开头。
+     *
+     * @param {*} configFilePath
+     * @param {*} jobNames
+     * @param {*} isDryRun
+     * @param {*} isVerbose
+     * @param {*} isExitCode
+     * @param {*} stdout
+     * @param {*} stderr
+     * @param {*} callback 回调返回 (exitCode)
+     */
+    static _runJobs(configFilePath, jobNames, isDryRun, isVerbose, isExitCode, stdout, stderr, callback) {
+        let overrideOptions = isDryRun ? { dryRun: true } : {};
+
+        SyncJobs.runFile(configFilePath, jobNames, overrideOptions, (err, jobResults) => {
+            if (err) {
+                stderr.write(`jsfoldersync: ${err.message}\n`);
+                callback(CommandLine.exitCode.error);
+                return;
+            }
+
+            let exitCode = CommandLine.exitCode.success;
+
+            for (let { name, syncResult, error } of jobResults) {
+                let prefix = `[${name}] `;
+
+                if (error) {
+                    stderr.write(`${prefix}jsfoldersync: ${error.message}\n`);
+                    exitCode = CommandLine.exitCode.error;
+                    continue;
+                }
+
+                CommandLine._printResult(syncResult, isDryRun, isVerbose, {
+                    write: (text) => {
+                        stdout.write(prefix + text);
+                    }
+                });
+
+                if (isExitCode && syncResult.hasChanges() && exitCode === CommandLine.exitCode.success) {
+                    exitCode = CommandLine.exitCode.changed;
+                }
+            }
+
+            callback(exitCode);
+        });
+    }
+
+    /**
+     * 解析命令行参数
+     *
+     * @param {*} args
+     * @returns {sourceFolderPath, destFolderPath, options, isVerbose, isExitCode, isHelp,
+     *     configFilePath, jobNames}，其中 options 为 FolderSync.sync 方法的选项对象，
+     *     使用配置文件时 configFilePath 为配置文件的路径，jobNames 为任务名称数组，
+     *     而 sourceFolderPath 和 destFolderPath 为 undefined。
+     *     无效的参数会抛出 TypeError。
+     */
+    static parseArguments(args) {
+        let folderPaths = [];
+        let options = {
+            deleteExtraneous: false,
+            ignoreFileGlobs: [],
+            dryRun: false
+        };
+
+        let isVerbose = false;
+        let isExitCode = false;
+        let isHelp = false;
+        let configFilePath;
+
+        // 使用配置文件时不能使用的选项
+        let syncOptionArgs = [];
+
+        let getValue = (idx) => {
+            if (idx + 1 >= args.length) {
+                throw new TypeError(`Option "${args[idx]}" requires a value.`);
+            }
+
+            return args[idx + 1];
+        };
+
+        for (let idx = 0; idx < args.length; idx++) {
+            let arg = args[idx];
+
+            switch (arg) {
+                case '-d':
+                case '--delete':
+                    options.deleteExtraneous = true;
+                    syncOptionArgs.push(arg);
+                    break;
+
+                case '-i':
+                case '--ignore':
+                    options.ignoreFileGlobs.push(getValue(idx));
+                    syncOptionArgs.push(arg);
+                    idx++;
+                    break;
+
+                case '--ignore-file':
+                    options.ignoreFileName = getValue(idx);
+                    syncOptionArgs.push(arg);
+                    idx++;
+                    break;
+
+                case '-c':
+                case '--config':
+                    configFilePath = getValue(idx);
+                    idx++;
+                    break;
+
+                case '-n':
+                case '--dry-run':
+                    options.dryRun = true;
+                    break;
+
+                case '-v':
+                case '--verbose':
+                    isVerbose = true;
+                    break;
+
+                case '--exit-code':
+                    isExitCode = true;
+                    break;
+
+                case '-h':
+                case '--help':
+                    isHelp = true;
+                    break;
+
+                case '--':
+                    folderPaths.push(...args.slice(idx + 1));
+                    idx = args.length;
+                    break;
+
+                default:
+                    if (arg.startsWith('-') && arg !== '-') {
+                        throw new TypeError(`Unknown option "${arg}".`);
+                    }
+
+                    folderPaths.push(arg);
+            }
+        }
+
+        if (configFilePath !== undefined) {
+            if (syncOptionArgs.length > 0) {
+                throw new TypeError(`Option "${syncOptionArgs[0]}" can not be used with "--config".`);
+            }
+
+            return {
+                sourceFolderPath: undefined,
+                destFolderPath: undefined,
+                options: options,
+                isVerbose: isVerbose,
+                isExitCode: isExitCode,
+                isHelp: isHelp,
+                configFilePath: configFilePath,
+                jobNames: folderPaths
+            };
+        }
+
+        if (!isHelp && folderPaths.length !== 2) {
+            throw new TypeError('Expected a source folder and a destination folder.');
+        }
+
+        return {
+            sourceFolderPath: folderPaths[0],
+            destFolderPath: folderPaths[1],
+            options: options,
+            isVerbose: isVerbose,
+            isExitCode: isExitCode,
+            isHelp: isHelp,
+            configFilePath: undefined,
+            jobNames: undefined
+        };
+    }
+
+    /**
+     * 输出同步结果
+     *
+     * 列出的每一行以一个字符表示操作：'+' 新建，'~' 覆盖，'-' 删除，
+     * 文件夹的路径以 '/' 结尾。最后输出统计数据。
+     *
+     * @param {*} syncResult SyncReport 对象，模拟同步时为 SyncPlan 对象
+     * @param {*} isDryRun
+     * @param {*} isVerbose
+     * @param {*} stdout
+     */
+    static _printResult(syncResult, isDryRun, isVerbose, stdout) {
+        let created = isDryRun ? syncResult.creates : syncResult.created;
+        let overwritten = isDryRun ? syncResult.overwrites : syncResult.overwritten;
+        let deleted = isDryRun ? syncResult.deletes : syncResult.deleted;
+
+        if (isVerbose) {
+            let printItems = (items, mark) => {
+                for (let item of items) {
+                    stdout.write(`${mark} ${item.path}${item.type === 'folder' ? '/' : ''}\n`);
+                }
+            };
+
+            printItems(deleted, '-');
+            printItems(created, '+');
+            printItems(overwritten, '~');
+        }
+
+        let summary = `${created.length} created, ${overwritten.length} overwritten, ${deleted.length} deleted`;
+        stdout.write(isDryRun ? `(dry run) ${summary}\n` : `${summary}\n`);
+    }
+}
+
+const USAGE = `Usage: jsfoldersync [options] <source> <dest>
+       jsfoldersync [options] --config <file> [job...]
+
+Synchronize the content of the source folder to the destination folder,
+or run all (or the named) sync jobs of a config file.
+
+Options:
+  -d, --delete          delete extraneous files from the destination folder
+  -i, --ignore <glob>   ignore source files matching the glob, can be repeated
+  --ignore-file <name>  read ignore rules from files with this name, e.g. .syncignore
+  -n, --dry-run         list what would be changed without changing anything
+  -v, --verbose         list every created, overwritten and deleted entry
+  --exit-code           exit with 1 when the destination folder is changed
+  -c, --config <file>   run sync jobs from a JSON or JS config file
+  -h, --help            show this help
+
+Exit codes:
+  0  success (with --exit-code: the destination folder is unchanged)
+  1  with --exit-code: the destination folder is changed (or would be changed
+     with --dry-run)
+  2  error
+`;
+
+CommandLine.exitCode = {
+    success: 0,
+    changed: 1,
+    error: 2
+};
+
+module.exports = CommandLine;
@@ -0,0 +1,114 @@
+/**
+ * 比较结果
+ *
+ * 由 FolderSync.compare 方法返回，列出源文件夹和目标文件夹的差异。
+ *
+ * 每一个项目的格式为 {type, path}，type 和 path 的说明请见 SyncPlan；
+ * typeMismatched 列表的项目格式为 {path, sourceType, destType}。
+ *
+ * 跟同步的遍历过程一致：
+ * - 只存在于源文件夹的文件夹，其下的内容也会逐一列在 onlyInSource；
+ * - 只存在于目标文件夹的文件夹，则只列出该文件夹本身。
+ *
+ * 本对象实现了跟 SyncPlan 一致的记录方法，以便在同步的遍历过程中使用。
+ */
+class CompareResult {
+    constructor() {
+        // 只存在于源文件夹的文件和文件夹
+        this.onlyInSource = [];
+
+        // 只存在于目标文件夹的文件和文件夹
+        this.onlyInDest = [];
+
+        // 同名但类型不同（比如一边是文件，另一边是文件夹）的内容
+        this.typeMismatched = [];
+
+        // 内容不一致的文件
+        this.different = [];
+
+        // 内容一致的文件
+        this.identical = [];
+
+        // 比较时出错的路径，因为比较时不支持选项 continueOnError，所以总是为空
+        this.failures = [];
+
+        // onlyInDest 的项目按路径索引，以便新建时快速找出类型不同的同名内容
+        this._onlyInDestMap = new Map();
+    }
+
+    addCreate(type, path) {
+        let destItem = this._onlyInDestMap.get(path);
+
+        // 遍历时先记录删除类型不同的目标内容，然后才记录新建
+        if (destItem !== undefined) {
+            this._onlyInDestMap.delete(path);
+            this.onlyInDest.splice(this.onlyInDest.indexOf(destItem), 1);
+            this.typeMismatched.push({ path, sourceType: type, destType: destItem.type });
+            return;
+        }
+
+        this.onlyInSource.push({ type, path });
+    }
+
+    addOverwrite(path, size, type = 'file') {
+        this.different.push({ type, path });
+    }
+
+    addDelete(type, path) {
+        let destItem = { type, path };
+        this.onlyInDest.push(destItem);
+        this._onlyInDestMap.set(path, destItem);
+    }
+
+    addIdentical(path, type = 'file') {
+        this.identical.push({ type, path });
+    }
+
+    addFailure(path, error) {
+        this.failures.push({ path, error });
+    }
+
+    // 以下的内容跟比较无关，不作记录
+
+    addIgnore(type, path) {
+    }
+
+    addProtect(type, path) {
+    }
+
+    addSkippedLink(path, reason) {
+    }
+
+    addExternalLink(path, target) {
+    }
+
+    addModifiedInDest(path) {
+    }
+
+    addMetadataUpdate(type, path) {
+    }
+
+    getTotals() {
+        return {
+            onlyInSource: this.onlyInSource.length,
+            onlyInDest: this.onlyInDest.length,
+            typeMismatched: this.typeMismatched.length,
+            different: this.different.length,
+            identical: this.identical.length
+        };
+    }
+
+    /**
+     * 两个文件夹是否没有任何差异
+     *
+     * @returns boolean
+     */
+    isIdentical() {
+        return this.onlyInSource.length === 0 &&
+            this.onlyInDest.length === 0 &&
+            this.typeMismatched.length === 0 &&
+            this.different.length === 0;
+    }
+}
+
+module.exports = CompareResult;
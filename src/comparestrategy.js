@@ -0,0 +1,16 @@
+/**
+ * 判断源文件与目标文件是否一致的策略
+ *
+ * - hash: 比较两个文件内容的 SHA-256 散列值，需要读取两个文件的全部内容，默认策略；
+ * - sizeMtime: 仅比较文件的大小以及最后修改时间，因为同步时会保留文件的时间戳，
+ *   所以对于曾经同步过的文件，只需读取文件的元数据即可判断；
+ *   如果目标文件被修改之后又被设置回原来的修改时间，则该修改不会被检测到。
+ * - sizeHash: 先比较文件的大小，大小不同则认为不一致，大小相同才比较散列值。
+ */
+const CompareStrategy = {
+    hash: 'hash',
+    sizeMtime: 'size-mtime',
+    sizeHash: 'size-hash'
+};
+
+module.exports = CompareStrategy;
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * 双向同步时，两边都改变了同一个文件（即冲突）的处理方式
+ *
+ * - newer: 保留修改时间较新的一边的版本，如果有一边删除了文件，则保留修改了的一边，
+ *   默认方式；
+ * - source: 保留源文件夹一边的版本（包括删除）；
+ * - keepBoth: 两个版本都保留，源文件夹一边的版本使用原来的名称，目标文件夹一边的
+ *   版本另存为带有后缀（选项 conflictSuffix）的名称，两边的文件夹都会有这两个文件；
+ *   如果有一边删除了文件，则保留修改了的一边。
+ */
+const ConflictResolution = {
+    newer: 'newer',
+    source: 'source',
+    keepBoth: 'keep-both'
+};
+
+module.exports = ConflictResolution;
@@ -0,0 +1,85 @@
+const { EventEmitter } = require('events');
+
+const FolderSync = require('./foldersync');
+const SyncOptions = require('./syncoptions');
+
+/**
+ * 以 EventEmitter 的形式同步两个文件夹
+ *
+ * 适用于同步大量文件时，需要显示进度或者记录日志的情况。
+ *
+ * 同步过程中会触发如下事件，事件的参数为一个对象：
+ *
+ * - 'folder-entered' {path}，开始同步一个文件夹（包括第 1 层文件夹 '/'）
+ * - 'file-compared' {path, isIdentical}，比较了一个源文件和目标文件，
+ *   当目标文件不存在时 isIdentical 为 false
+ * - 'file-copied' {path, size, isOverwrite, bytesWritten}，复制了一个文件，
+ *   size 为文件的字节数，isOverwrite 表示是否覆盖了已存在的目标文件，bytesWritten
+ *   为实际写入的字节数（仅在使用选项 deltaUpdate 增量更新时小于 size）
+ * - 'file-deleted' {type, path}，删除了一个目标文件或文件夹
+ * - 'file-moved' {path, from}，把目标文件夹里原来位于 from 的文件移动到了 path，
+ *   而不是重新复制（仅当使用选项 detectMoves 时）
+ * - 'file-linked' {path}，从上一个快照链接了一个目标文件，而不是从源文件复制
+ *   （仅当使用选项 linkDest 时）
+ * - 'entry-ignored' {type, path}，源文件夹里的一个文件或文件夹被忽略
+ * - 'entry-protected' {type, path}，目标文件夹里的一个文件或文件夹因为匹配中保护模式
+ *   而没有被删除或者替换
+ * - 'dest-file-modified' {path}，目标文件在上一次同步之后被修改过（仅当使用同步清单时）
+ * - 'link-skipped' {path, reason}，源文件夹里的一个符号链接被跳过，reason 为
+ *   'skip'（选项 symlinks 为 'skip'）、'loop'（链接形成循环）或者 'broken'（链接的目标不存在）
+ * - 'metadata-updated' {type, path}，目标文件或文件夹的元数据（权限、时间戳、所有者）
+ *   被更新，而内容没有改变（仅当使用选项 syncMetadata 时）
+ * - 'entry-failed' {path, error}，同步一个文件或文件夹时出错（仅当选项 continueOnError
+ *   为 true 时，否则同步会随即中止）
+ * - 'link-external' {path, target}，源文件夹里的一个符号链接指向源文件夹之外，
+ *   target 为链接的目标路径
+ *
+ * 同步结束时触发 'end' 事件，参数为 SyncReport 对象（当选项 dryRun 为 true 时
+ * 为 SyncPlan 对象）；
+ * 同步失败时触发 'error' 事件，参数为 Error 对象，同步会随即中止（当选项 continueOnError
+ * 为 true 时，则是同步结束之后以 SyncError 触发），
+ * 跟 EventEmitter 的惯例一样，如果没有监听 'error' 事件，则错误会被抛出。
+ *
+ * 以上的 path 均为相对于源文件夹（以及目标文件夹）的路径，比如 '/foo/bar.txt'
+ */
+class EventFolderSync {
+
+    /**
+     * 参数跟 FolderSync.sync 方法的一致（除了没有 callback 参数），
+     * 同样支持选项对象。
+     *
+     * @param {*} sourceFolderPath
+     * @param {*} destFolderPath
+     * @param {*} deleteExtraneous
+     * @param {*} ignoreFileGlobs
+     * @returns EventEmitter
+     */
+    static sync(sourceFolderPath, destFolderPath, deleteExtraneous, ignoreFileGlobs) {
+        let eventEmitter = new EventEmitter();
+
+        let { err, syncOptions } = SyncOptions.fromArguments(deleteExtraneous, ignoreFileGlobs);
+
+        // 让调用者有机会在同步开始之前添加事件监听
+        process.nextTick(() => {
+            if (err) {
+                eventEmitter.emit('error', err);
+                return;
+            }
+
+            let syncContext = FolderSync._createSyncContext(syncOptions, eventEmitter);
+
+            FolderSync._sync(sourceFolderPath, destFolderPath, syncContext, (err, syncReport) => {
+                if (err) {
+                    eventEmitter.emit('error', err);
+                    return;
+                }
+
+                eventEmitter.emit('end', syncReport);
+            });
+        });
+
+        return eventEmitter;
+    }
+}
+
+module.exports = EventFolderSync;
\ No newline at end of file
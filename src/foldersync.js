@@ -1,9 +1,29 @@
 const path = require('path');
+const crypto = require('crypto');
+const stream = require('stream');
+const { EventEmitter } = require('events');
+
+const fs = require('fs');
 
 const fse = require('fs-extra');
 const minimatch = require('minimatch');
 const { FileUtils, FolderInfo, HashAlgorithm } = require('jsfileutils');
 
+const SyncPlan = require('./syncplan');
+const SyncReport = require('./syncreport');
+const SyncOptions = require('./syncoptions');
+const CompareStrategy = require('./comparestrategy');
+const TaskLimiter = require('./tasklimiter');
+const SyncManifest = require('./syncmanifest');
+const IgnoreRules = require('./ignorerules');
+const VerifyError = require('./verifyerror');
+const SymlinkPolicy = require('./symlinkpolicy');
+const LinkInfo = require('./linkinfo');
+const SyncError = require('./syncerror');
+const RateLimiter = require('./ratelimiter');
+const CompareResult = require('./compareresult');
+const LinkMode = require('./linkmode');
+
 /**
  * （单向）同步两个文件夹。
  *
@@ -13,7 +33,9 @@ const { FileUtils, FolderInfo, HashAlgorithm } = require('jsfileutils');
  * - 同步是单向的，即目标文件夹会更新至跟源文件夹一致，但源文件夹的内容不会受目标文件夹
  *   的内容而发生任何改变；
  * - 仅当文件的内容不相同时才进行同步，文件的时间或者属性（比如 owner、访问权限）改变
- *   不会同步；
+ *   不会同步，除非使用选项 syncMetadata；
+ * - 文件先复制到目标文件夹里的临时文件（使用选项 verify 时还会校验临时文件），
+ *   然后再重命名为目标文件，所以目标文件要么是旧的内容，要么是完整的新内容；
  *
  */
 class FolderSync {
@@ -26,6 +48,10 @@ class FolderSync {
      *   内容（即文件和子文件夹）
      * - 设置 ignoreFileGlobs 参数可以忽略源文件夹的部分内容。
      *
+     * 除了位置参数，也可以使用选项对象，即：
+     * sync(sourceFolderPath, destFolderPath, options, callback)
+     * 选项对象的说明请见 SyncOptions
+     *
      * @param {*} sourceFolderPath 源文件夹的路径
      * @param {*} destFolderPath 目标位置，不包括源文件夹名称，即
      *     最终目标文件夹将会是 'destDirectory + basename(sourceFolderPath)'
@@ -58,322 +84,3225 @@ class FolderSync {
      *     格式请参考 gitignore:
      *     https://git-scm.com/docs/gitignore
      *     https://github.com/isaacs/minimatch
-     * @param {*} callback 回调返回 (err)
+     * @param {*} callback 回调返回 (err, syncReport)，syncReport 为 SyncReport 对象，
+     *     记录了新建、覆盖、删除、忽略以及没有改变的项目，以及统计数据。
+     *     当选项 dryRun 为 true 时，返回的是 SyncPlan 对象。
+     *     无效的选项会导致回调返回 TypeError。
+     *     当选项 continueOnError 为 true 且有路径出错时，回调返回 SyncError，
+     *     同步结果为其 syncResult 属性。
      */
     static sync(sourceFolderPath, destFolderPath, deleteExtraneous, ignoreFileGlobs, callback) {
-        FolderSync._syncFolder(sourceFolderPath, destFolderPath,
-            deleteExtraneous, ignoreFileGlobs, '/', (err) => {
-                if (err) {
-                    callback(err);
-                    return;
-                }
+        let { err, syncOptions, callback: syncCallback } = SyncOptions.fromArguments(
+            deleteExtraneous, ignoreFileGlobs, callback);
 
-                callback();
-            });
+        if (err) {
+            syncCallback(err);
+            return;
+        }
+
+        let syncContext = FolderSync._createSyncContext(syncOptions);
+        FolderSync._sync(sourceFolderPath, destFolderPath, syncContext, syncCallback);
     }
 
     /**
+     * 模拟同步两个文件夹，返回同步计划
      *
-     * @param {*} sourceFolderPath 当前的同步源文件夹路径
-     * @param {*} destFolderPath 当前的同步目标文件夹路径
+     * 遍历的过程跟 sync 方法完全一致（同样的忽略模式、同样的文件类型不一致
+     * 以及 deleteExtraneous 的删除规则、同样的文件内容散列值比较），但不会
+     * 创建、删除或者复制任何文件和文件夹，目标文件夹也可以不存在。
+     *
+     * 参数跟 sync 方法的一致，同样支持选项对象。
+     *
+     * @param {*} sourceFolderPath
+     * @param {*} destFolderPath
      * @param {*} deleteExtraneous
      * @param {*} ignoreFileGlobs
-     * @param {*} internal_folder_path 方法内部使用的变量，表示**当前**正在同步
-     *     的文件夹相对路径（相对 sourceFolderPath 和 destFolderPath 来说）
-     *
-     *     必须以 '/' 字符开头，比如 '/foo'， '/foo/bar'
-     *     同步的第 1 层文件夹时的相对路径为 '/'
+     * @param {*} callback 回调返回 (err, syncPlan)，syncPlan 为 SyncPlan 对象
+     */
+    static dryRun(sourceFolderPath, destFolderPath, deleteExtraneous, ignoreFileGlobs, callback) {
+        let { err, syncOptions, callback: syncCallback } = SyncOptions.fromArguments(
+            deleteExtraneous, ignoreFileGlobs, callback);
+
+        if (err) {
+            syncCallback(err);
+            return;
+        }
+
+        syncOptions.dryRun = true;
+
+        let syncContext = FolderSync._createSyncContext(syncOptions);
+        FolderSync._sync(sourceFolderPath, destFolderPath, syncContext, syncCallback);
+    }
+
+    /**
+     * 比较两个文件夹，不会改变任何一个文件夹
      *
-     *     sourceFolderPath, destFolderPath 路径当中已经包含了
-     *     internal_folder_path，所以不要拼接它们。
+     * 遍历和比较的过程跟模拟同步（且 deleteExtraneous 为 true）完全一致，
+     * 目标文件夹也可以不存在（此时源文件夹的全部内容都只存在于源文件夹）。
      *
-     * @param {*} callback
+     * @param {*} sourceFolderPath
+     * @param {*} destFolderPath
+     * @param {*} options 可选的选项对象，支持的选项请见 SyncOptions.normalizeCompare 方法
+     * @param {*} callback 回调返回 (err, compareResult)，compareResult 为 CompareResult 对象。
+     *     无效的选项会导致回调返回 TypeError。
      */
-    static _syncFolder(sourceFolderPath, destFolderPath, deleteExtraneous, ignoreFileGlobs, internal_folder_path, callback) {
+    static compare(sourceFolderPath, destFolderPath, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = undefined;
+        }
 
-        // ## sourceFolderPath, destFolderPath:
-        // 当前正在同步的源文件夹路径和目标文件夹路径
-        //
-        // ## internal_folder_path
-        // 方法内部使用的变量，表示**当前**正在同步
-        // 的文件夹相对路径（相对 sourceFolderPath 和 destFolderPath 来说）
-        //
-        // 必须以 '/' 字符开头，比如 '/foo'， '/foo/bar'
-        // 同步的第 1 层文件夹时的相对路径为 '/'
-        //
-        // sourceFolderPath, destFolderPath 路径当中已经包含了
-        // internal_folder_path，所以不要拼接它们。
+        let syncOptions;
 
-        let processUpdateFolders = (toBeAddedFolderNames) => {
-            if (toBeAddedFolderNames.length === 0) {
-                callback();
-                return;
-            }
+        try {
+            syncOptions = SyncOptions.normalizeCompare(options);
+        } catch (err) {
+            callback(err);
+            return;
+        }
 
-            let folderName = toBeAddedFolderNames.pop();
+        let syncContext = FolderSync._createSyncContext(syncOptions);
+        syncContext.syncResult = new CompareResult();
 
-            let sourceSubFolderPath = path.join(sourceFolderPath, folderName);
-            let destSubFolderPath = path.join(destFolderPath, folderName);
-            let subFolderPath = path.join(internal_folder_path, folderName);
+        FolderSync._sync(sourceFolderPath, destFolderPath, syncContext, callback);
+    }
 
-            FolderSync._syncFolder(sourceSubFolderPath, destSubFolderPath,
-                deleteExtraneous, ignoreFileGlobs, subFolderPath, (err) => {
-                if (err) {
-                    callback(err);
-                    return;
-                }
+    /**
+     * 从备份文件夹恢复内容到目标文件夹
+     *
+     * 用于恢复使用选项 backupFolderPath 的备份，使用选项 backupSuffix 的备份请使用
+     * restoreSuffixBackup 方法恢复。
+     *
+     * 备份文件夹里的内容会覆盖目标文件夹里同名的内容，备份文件夹本身不会改变。
+     * 备份文件夹里只有部分内容时，只恢复这部分内容，其余的目标内容不会改变。
+     *
+     * @param {*} backupFolderPath 某次同步的备份文件夹路径，即 SyncReport 的
+     *     backupFolderPath 属性，比如 '/backup/2021-06-19T10-20-30-123Z'
+     * @param {*} destFolderPath 同步的目标文件夹路径
+     * @param {*} callback 回调返回 (err, restoredPaths)，restoredPaths 为被恢复的文件的
+     *     相对路径数组，比如 ['/foo/bar.txt']
+     */
+    static restoreBackup(backupFolderPath, destFolderPath, callback) {
+        let copyOptions = {
+            overwrite: true,
+            preserveTimestamps: true
+        };
 
-                processUpdateFolders(toBeAddedFolderNames);
-            });
+        let isSkipped = () => {
+            return false;
         };
 
-        let processUpdateFiles = (toBeAddedFileNames, toBeAddedFolderNames) => {
-            if (toBeAddedFileNames.length === 0) {
-                processUpdateFolders(toBeAddedFolderNames);
+        FolderSync._listEntries(backupFolderPath, '/', isSkipped, (err, entries) => {
+            if (err) {
+                callback(err);
                 return;
             }
 
-            FolderSync._updateFiles(sourceFolderPath, destFolderPath, toBeAddedFileNames, (err) => {
+            fse.copy(backupFolderPath, destFolderPath, copyOptions, (err) => {
                 if (err) {
                     callback(err);
                     return;
                 }
 
-                processUpdateFolders(toBeAddedFolderNames);
+                callback(undefined, entries.filter((entry) => {
+                    return entry.type === 'file';
+                }).map((entry) => {
+                    return entry.path;
+                }));
             });
+        });
+    }
+
+    /**
+     * 恢复目标文件夹里使用选项 backupSuffix 的备份
+     *
+     * 即把名称为 “原名称 + 后缀” 的文件或者文件夹重命名为原名称，并覆盖同名的内容。
+     * 被恢复的文件夹里的内容保持备份时的状态，不会再逐一恢复。
+     *
+     * @param {*} destFolderPath 同步的目标文件夹路径
+     * @param {*} backupSuffix 同步时使用的备份后缀，比如 '~'
+     * @param {*} callback 回调返回 (err, restoredPaths)，restoredPaths 为被恢复的文件
+     *     或者文件夹（恢复之后）的相对路径数组，比如 ['/foo/bar.txt']。
+     *     backupSuffix 不是非空字符串时回调返回 TypeError。
+     */
+    static restoreSuffixBackup(destFolderPath, backupSuffix, callback) {
+        if (typeof backupSuffix !== 'string' || backupSuffix === '') {
+            callback(new TypeError('Backup suffix should be a non-empty string.'));
+            return;
+        }
+
+        let isBackupEntry = (internal_file_path) => {
+            let fileName = path.basename(internal_file_path);
+            return fileName.length > backupSuffix.length && fileName.endsWith(backupSuffix);
         };
 
-        // 删除目标文件夹指定的内容
-        let processRemove = (toBeRemovedNames, toBeAddedFileNames, toBeAddedFolderNames) => {
-            if (toBeRemovedNames.length === 0) {
-                processUpdateFiles(toBeAddedFileNames, toBeAddedFolderNames);
+        let isSkipped = () => {
+            return false;
+        };
+
+        FolderSync._listEntries(destFolderPath, '/', isSkipped, (err, entries) => {
+            if (err) {
+                callback(err);
                 return;
             }
 
-            let fileName = toBeRemovedNames.pop();
-            let filePath = path.join(destFolderPath, fileName);
+            // 文件夹总是排在其里面的内容之前，所以被恢复的文件夹里的备份会被排除
+            let backupPaths = [];
+
+            for (let { path: internal_file_path } of entries) {
+                let isInBackupFolder = backupPaths.some((backupPath) => {
+                    return internal_file_path.startsWith(backupPath + '/');
+                });
+
+                if (!isInBackupFolder && isBackupEntry(internal_file_path)) {
+                    backupPaths.push(internal_file_path);
+                }
+            }
+
+            let restoredPaths = [];
+
+            TaskLimiter.forEach(backupPaths, 1, (backupPath, callback) => {
+                let restoredPath = backupPath.substring(0, backupPath.length - backupSuffix.length);
+
+                fse.move(path.join(destFolderPath, backupPath), path.join(destFolderPath, restoredPath), { overwrite: true }, (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
 
-            fse.remove(filePath, (err) => {
+                    restoredPaths.push(restoredPath);
+                    callback();
+                });
+            }, (err) => {
                 if (err) {
                     callback(err);
                     return;
                 }
 
-                processRemove(toBeRemovedNames, toBeAddedFileNames, toBeAddedFolderNames);
+                callback(undefined, restoredPaths);
             });
-        };
+        });
+    }
 
-        // 判断指定的目录和文件是否匹配中忽略模式列表
-        let isIgnoreFile = (fileName) => {
-            if (ignoreFileGlobs === undefined) {
-                return false;
-            }
+    /**
+     * 构建同步的参数以及状态对象
+     *
+     * 对象的各个属性请见 _syncFolder 方法的说明
+     *
+     * @param {*} syncOptions 由 SyncOptions.normalize 返回的选项对象
+     * @param {*} eventEmitter 可选的 EventEmitter 对象，选项 hooks 里的
+     *     监听函数也会添加到这个对象。
+     * @returns syncContext
+     */
+    static _createSyncContext(syncOptions, eventEmitter) {
+        let hookEntries = Object.entries(syncOptions.hooks);
 
-            let filePath = path.join(internal_folder_path, fileName);
-
-            for (let ignoreFile of ignoreFileGlobs) {
-                // https://github.com/isaacs/minimatch
-                //
-                // options 当中的 matchBase
-                // If set, then patterns without slashes will be matched against the basename
-                // of the path if it contains slashes. For example, a?b would match
-                // the path /xyz/123/acb, but not /xyz/acb/123.
-                //
-                // 不过因为搜索文件是从第一层开始搜索，所以如果匹配模式为 a?b，当搜索到
-                // 路径 /xyz/acb 时，该项被匹配中，然后 /xyz/acb/123 就不会被搜索，
-                // 所以从结果上来说 /xyz/123/acb 和 not /xyz/acb/123 都按照预期地
-                // 被正确地排除了。
-                if (minimatch(filePath, ignoreFile, {matchBase: true})) {
-                    return true;
-                }
-            }
+        if (eventEmitter === undefined && hookEntries.length > 0) {
+            eventEmitter = new EventEmitter();
+        }
 
-            return false;
+        for (let [eventName, listener] of hookEntries) {
+            eventEmitter.on(eventName, listener);
         }
 
-        // 判断文件信息项目（AbstractFileInfo）是否为文件夹
-        let isFolder = (abstractFileInfo) => {
-            return (abstractFileInfo instanceof FolderInfo);
+        return {
+            options: syncOptions,
+            syncResult: syncOptions.dryRun ? new SyncPlan() : new SyncReport(),
+            eventEmitter: eventEmitter,
+            taskLimiter: new TaskLimiter(syncOptions.concurrency),
+            rateLimiter: FolderSync._getRateLimiter(syncOptions),
+            manifestFilePath: undefined,
+            manifest: undefined,
+            updatedManifest: undefined,
+            folderStateMap: new Map(),
+            sourceRealPath: undefined,
+            backupFolderPath: FolderSync._getBackupFolderPath(syncOptions),
+            scopePaths: undefined,
+            comparedFileMap: undefined
         };
+    }
 
-        let findFileInfoItemByFileName = (fileInfoList, fileName) => {
-            return fileInfoList.find((item) => {
-                return item.fileName === fileName;
-            });
-        };
+    /**
+     * 获取本次同步使用的 RateLimiter 对象
+     *
+     * @param {*} syncOptions
+     * @returns RateLimiter 对象，如果没有设置选项 rateLimit 则返回 undefined
+     */
+    static _getRateLimiter(syncOptions) {
+        let { rateLimit } = syncOptions;
 
-        // 列举源文件夹和目标文件夹的内容
-        FileUtils.list(sourceFolderPath, (err, sourceFileInfoList) => {
-            if (err) {
-                callback(err);
-                return;
-            }
+        if (rateLimit === undefined || rateLimit instanceof RateLimiter) {
+            return rateLimit;
+        }
 
-            fse.ensureDir(destFolderPath, (err) => {
-                if (err) {
-                    callback(err);
-                    return;
-                }
+        return new RateLimiter(rateLimit);
+    }
 
-                FileUtils.list(destFolderPath, (err, destFileInfoList) => {
-                    if (err) {
-                        callback(err);
-                        return;
-                    }
+    /**
+     * 获取本次同步的备份文件夹路径
+     *
+     * 即在选项 backupFolderPath 所指定的文件夹里，以同步开始的时间命名的子文件夹，
+     * 比如 '/backup/2021-06-19T10-20-30-123Z'
+     *
+     * @param {*} syncOptions
+     * @returns 备份文件夹路径，如果没有设置选项 backupFolderPath 则返回 undefined
+     */
+    static _getBackupFolderPath(syncOptions) {
+        if (syncOptions.backupFolderPath === undefined) {
+            return;
+        }
 
-                    let toBeRemovedFileNames = [];
+        let backupFolderPath = path.resolve(syncOptions.backupFolderPath);
 
-                    if (deleteExtraneous) {
-                        // 当 deleteExtraneous 参数为 true 时，
-                        // - 删除目标文件夹多出来的内容，即目标文件夹存在，但源文件夹不存在的内容
-                        // - 删除文件类型不同的同名内容，比如同名的源文件是文件，目标文件是文件夹
-                        for (let destFileInfoItem of destFileInfoList) {
-                            let sourceFileInfoItem = findFileInfoItemByFileName(sourceFileInfoList, destFileInfoItem.fileName);
-                            if (sourceFileInfoItem === undefined ||
-                                isFolder(sourceFileInfoItem) !== isFolder(destFileInfoItem)) {
-                                if (!isIgnoreFile(destFileInfoItem.fileName)) {
-                                    toBeRemovedFileNames.push(destFileInfoItem.fileName);
-                                }
-                            }
-                        }
-                    } else {
-                        // 删除文件类型不同的同名内容，比如同名的源文件是文件，目标文件是文件夹
-                        for (let destFileInfoItem of destFileInfoList) {
-                            let sourceFileInfoItem = findFileInfoItemByFileName(sourceFileInfoList, destFileInfoItem.fileName);
-                            if (sourceFileInfoItem !== undefined &&
-                                isFolder(sourceFileInfoItem) !== isFolder(destFileInfoItem)) {
-                                if (!isIgnoreFile(destFileInfoItem.fileName)) {
-                                    toBeRemovedFileNames.push(destFileInfoItem.fileName);
-                                }
-                            }
-                        }
-                    }
+        return path.join(backupFolderPath, FolderSync._getTimestampName(backupFolderPath));
+    }
 
-                    let toBeAddedFileNames = sourceFileInfoList.filter((item) => {
-                        return (
-                            !isFolder(item) &&
-                            !isIgnoreFile(item.fileName));
-                    }).map((item) => {
-                        return item.fileName;
-                    });
+    /**
+     * 获取以当前时间命名的文件夹名称，比如 '2021-06-19T10-20-30-123Z'，
+     * 按名称排序即按时间排序
+     *
+     * 如果同一毫秒内已经使用过该名称，或者父文件夹里已存在同名的内容，则加上计数后缀，
+     * 比如 '2021-06-19T10-20-30-123Z-2'，以免两次同步使用同一个文件夹。
+     *
+     * @param {*} parentFolderPath 文件夹所在的父文件夹
+     * @param {*} suffixes 可选的名称后缀数组，名称加上其中任何一个后缀的内容已存在时
+     *     都视为名称已被使用，默认为 ['']
+     * @returns 文件夹名称
+     */
+    static _getTimestampName(parentFolderPath, suffixes = ['']) {
+        let baseName = new Date().toISOString().replace(/[:.]/g, '-');
+        let count = (baseName === lastTimestampName.baseName) ? lastTimestampName.count + 1 : 1;
 
-                    let toBeAddedFolderNames = sourceFileInfoList.filter((item) => {
-                        return (
-                            isFolder(item) &&
-                            !isIgnoreFile(item.fileName));
-                    }).map((item) => {
-                        return item.fileName;
-                    });
+        let getName = () => {
+            return (count === 1) ? baseName : `${baseName}-${count}`;
+        };
 
-                    processRemove(toBeRemovedFileNames, toBeAddedFileNames, toBeAddedFolderNames);
-                });
-            });
-        });
+        while (suffixes.some(suffix => fse.pathExistsSync(path.join(parentFolderPath, getName() + suffix)))) {
+            count++;
+        }
+
+        lastTimestampName.baseName = baseName;
+        lastTimestampName.count = count;
+
+        return getName();
     }
 
     /**
-     * 更新指定源目录与目标目录当中的一组文件
+     * 从第 1 层文件夹开始同步
      *
-     * @param {*} sourceFolderDirectory
-     * @param {*} destFolderDirectory
-     * @param {*} fileNames
-     * @param {*} callback 回调返回 (err)
+     * @param {*} sourceFolderPath
+     * @param {*} destFolderPath
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err, syncResult)，syncResult 为
+     *     SyncReport 对象或者 SyncPlan 对象（模拟同步时）。如果有路径出错
+     *     （仅当选项 continueOnError 为 true 时），则返回 SyncError。
      */
-    static _updateFiles(sourceFolderDirectory, destFolderDirectory, fileNames, callback) {
+    static _sync(sourceFolderPath, destFolderPath, syncContext, callback) {
+        let startTime = Date.now();
 
-        let processNext = (remainFileNames) => {
-            if (remainFileNames.length === 0) {
-                callback();
+        let finish = () => {
+            let syncResult = syncContext.syncResult;
+
+            if (syncResult instanceof SyncReport) {
+                syncResult.elapsedTime = Date.now() - startTime;
+
+                if (syncResult.backedUp.length > 0) {
+                    syncResult.backupFolderPath = syncContext.backupFolderPath;
+                }
+            }
+
+            // SyncPlan 以及 CompareResult 都使用 failures 列表
+            let failures = (syncResult instanceof SyncReport) ?
+                syncResult.failed : syncResult.failures;
+
+            if (failures.length > 0) {
+                callback(new SyncError(failures, syncResult));
                 return;
             }
 
-            let fileName = remainFileNames.pop();
-            let sourceFilePath = path.join(sourceFolderDirectory, fileName);
-            let destFilePath = path.join(destFolderDirectory, fileName);
+            callback(undefined, syncResult);
+        };
+
+        let processSaveManifest = () => {
+            if (syncContext.updatedManifest === undefined) {
+                finish();
+                return;
+            }
 
-            FolderSync._updateFile(sourceFilePath, destFilePath, (err) => {
+            syncContext.updatedManifest.save(syncContext.manifestFilePath, (err) => {
                 if (err) {
                     callback(err);
                     return;
                 }
 
-                processNext(remainFileNames);
+                finish();
             });
         };
 
-        processNext(fileNames);
-    }
+        // 模拟同步时，从同步计划当中找出被移动的文件，然后更新同步计划
+        let processPlanMoves = () => {
+            if (!detectMoves || !dryRun) {
+                processSaveManifest();
+                return;
+            }
 
-    /**
-     * 根据源文件更新目标文件
-     *
-     * - 如果目标文件不存在，则复制源文件为目标文件
-     * - 如果目标文件已存在：
-     *   - 如果目标文件的内容跟源文件不相同，则用源文件覆盖目标文件
-     *   - 如果内容相同，则返回成功。
-     *
-     * @param {*} sourceFilePath
-     * @param {*} destFilePath
-     * @param {*} callback 回调返回 (err)
-     */
-    static _updateFile(sourceFilePath, destFilePath, callback) {
-        let processCopyOrOverwriteFile = () => {
+            FolderSync._findMoves(sourceFolderPath, destFolderPath, syncContext.syncResult, syncContext.rateLimiter, (err, moves) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
 
-            let copyOptions = {
-                // 保留文件的时间戳
-                // 即设置文件的 last modification 和 access times 跟源文件一样
-                preserveTimestamps: true
-            };
+                let syncPlan = syncContext.syncResult;
+                let movedPaths = new Set(moves.map(item => item.path));
+                let movedFromPaths = new Set(moves.map(item => item.from));
 
-            // https://github.com/jprichardson/node-fs-extra/blob/master/docs/copy.md
-            fse.copy(sourceFilePath, destFilePath, copyOptions, (err) => {
+                syncPlan.creates = syncPlan.creates.filter((item) => {
+                    return !(item.type === 'file' && movedPaths.has(item.path));
+                });
+
+                syncPlan.deletes = syncPlan.deletes.filter((item) => {
+                    return !(item.type === 'file' && movedFromPaths.has(item.path));
+                });
+
+                for (let { path, from } of moves) {
+                    syncPlan.addMove(path, from);
+                }
+
+                processSaveManifest();
+            });
+        };
+
+        let processSyncFolder = () => {
+            // 检测符号链接是否指向源文件夹之外时，需要源文件夹的真实路径
+            fse.realpath(sourceFolderPath, (err, sourceRealPath) => {
                 if (err) {
                     callback(err);
                     return;
                 }
 
-                callback();
+                syncContext.sourceRealPath = sourceRealPath;
+
+                FolderSync._syncFolder(sourceFolderPath, destFolderPath,
+                    syncContext, '/', (err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        processPlanMoves();
+                    });
             });
         };
 
-        // 计算源文件的散列值
-        FileUtils.hashFile(sourceFilePath, HashAlgorithm.sha256, (err, sourceFileHash) => {
-            if (err) {
-                callback(err);
+        // 同步之前先把被移动的文件移动到新位置，之后的同步会视它们为内容一致的文件
+        let processMoveFiles = () => {
+            if (!detectMoves || dryRun) {
+                processSyncFolder();
                 return;
             }
 
-            // 检测目标文件是否存在
-            FileUtils.exists(destFilePath, (err, isExists) => {
+            FolderSync._moveFiles(sourceFolderPath, destFolderPath, syncContext, (err) => {
                 if (err) {
                     callback(err);
                     return;
                 }
 
-                if (!isExists) {
-                    // 目标文件不存在
-                    processCopyOrOverwriteFile();
-                    return;
-                }
+                processSyncFolder();
+            });
+        };
 
-                // 计算目标文件的散列值
-                FileUtils.hashFile(destFilePath, HashAlgorithm.sha256, (err, destFileHash) => {
-                    if (err) {
-                        callback(err);
-                        return;
-                    }
+        let { manifest, dryRun, detectMoves } = syncContext.options;
 
-                    if (sourceFileHash === destFileHash) {
-                        // 文件内容一致，不需要更新文件
-                        callback();
-                        return;
+        if (manifest === false) {
+            processMoveFiles();
+            return;
+        }
+
+        // 清单文件默认保存在目标文件夹里
+        syncContext.manifestFilePath = path.resolve((manifest === true) ?
+            path.join(destFolderPath, SyncManifest.defaultFileName) :
+            manifest);
+
+        SyncManifest.load(syncContext.manifestFilePath, (err, syncManifest) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            syncContext.manifest = syncManifest;
+
+            // 同步的过程中构建新的清单，模拟同步时不会保存清单
+            //
+            // 只同步部分内容时，保留范围之外的记录，范围之内的记录则在同步的过程中重新构建
+            if (!dryRun && syncContext.scopePaths === undefined) {
+                syncContext.updatedManifest = new SyncManifest();
+            } else if (!dryRun) {
+                let files = Object.assign({}, syncManifest.files);
+
+                for (let internal_file_path of Object.keys(files)) {
+                    if (FolderSync._isInScope(syncContext, internal_file_path)) {
+                        delete files[internal_file_path];
                     }
+                }
 
-                    processCopyOrOverwriteFile();
-                });
-            });
+                syncContext.updatedManifest = new SyncManifest(files);
+            }
+
+            processMoveFiles();
+        });
+    }
+
+    /**
+     * 把被移动的文件移动到目标文件夹里的新位置
+     *
+     * 先模拟同步一次得到同步计划，然后找出被移动的文件，详细请见 _findMoves 方法。
+     *
+     * 模拟同步时比较过的文件的结果会保存到 syncContext.comparedFileMap，之后的同步
+     * 对于没有改变的文件直接使用该结果，所以同一个文件不会被计算两次散列值。
+     *
+     * @param {*} sourceFolderPath
+     * @param {*} destFolderPath
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err)
+     */
+    static _moveFiles(sourceFolderPath, destFolderPath, syncContext, callback) {
+        let planOptions = Object.assign({}, syncContext.options, {
+            dryRun: true,
+            detectMoves: false,
+            hooks: {}
+        });
+
+        let planContext = FolderSync._createSyncContext(planOptions);
+        planContext.scopePaths = syncContext.scopePaths;
+        planContext.comparedFileMap = new Map();
+        syncContext.comparedFileMap = planContext.comparedFileMap;
+
+        FolderSync._sync(sourceFolderPath, destFolderPath, planContext, (err, syncPlan) => {
+            // 个别路径出错（仅当选项 continueOnError 为 true 时）不影响其余文件的检测
+            if (err && !(err instanceof SyncError)) {
+                callback(err);
+                return;
+            }
+
+            FolderSync._findMoves(sourceFolderPath, destFolderPath,
+                err ? err.syncResult : syncPlan, syncContext.rateLimiter, (err, moves) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                TaskLimiter.forEach(moves, 1, ({ path: internal_file_path, from }, callback) => {
+                    let fromFilePath = path.join(destFolderPath, from);
+                    let toFilePath = path.join(destFolderPath, internal_file_path);
+
+                    fse.move(fromFilePath, toFilePath, (err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        syncContext.syncResult.addMove(internal_file_path, from);
+                        FolderSync._emit(syncContext, 'file-moved', {
+                            path: internal_file_path,
+                            from: from
+                        });
+
+                        callback();
+                    });
+                }, callback);
+            });
+        });
+    }
+
+    /**
+     * 从同步计划当中找出被移动的文件
+     *
+     * 即将要新建的源文件跟将要被删除的目标文件（包括将要被删除的目标文件夹里的文件）
+     * 的大小以及 SHA-256 散列值一致。只有大小一致时才计算散列值，每一个被删除的
+     * 目标文件最多匹配一个源文件。
+     *
+     * 新位置本身或者其上层路径将要被删除时（比如文件 '/a' 被移动到新的文件夹 '/a/' 里），
+     * 新位置在同步之前仍然被占用，所以不会被视为移动，而是按照普通的方式同步。
+     *
+     * @param {*} sourceFolderPath
+     * @param {*} destFolderPath
+     * @param {*} syncPlan
+     * @param {*} rateLimiter 计算散列值时使用的 RateLimiter 对象
+     * @param {*} callback 回调返回 (err, moves)，moves 为数组，每一项的格式为
+     *     {path, from}，分别为新的相对路径以及原来的相对路径
+     */
+    static _findMoves(sourceFolderPath, destFolderPath, syncPlan, rateLimiter, callback) {
+        let deletedPaths = new Set(syncPlan.deletes.map(item => item.path));
+
+        let isBlocked = (internal_file_path) => {
+            for (let currentPath = internal_file_path; currentPath !== '/'; currentPath = path.dirname(currentPath)) {
+                if (deletedPaths.has(currentPath)) {
+                    return true;
+                }
+            }
+
+            return false;
+        };
+
+        let createdFilePaths = syncPlan.creates.filter((item) => {
+            return item.type === 'file' && !isBlocked(item.path);
+        }).map((item) => {
+            return item.path;
+        });
+
+        if (createdFilePaths.length === 0) {
+            callback(undefined, []);
+            return;
+        }
+
+        // 被删除的目标文件，按文件大小索引，项目的格式为 {path, size, hash}，hash 在需要时才计算
+        let deletedFileMap = new Map();
+
+        let addDeletedFile = (internal_file_path, callback) => {
+            fse.stat(path.join(destFolderPath, internal_file_path), (err, stats) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                let deletedFiles = deletedFileMap.get(stats.size);
+
+                if (deletedFiles === undefined) {
+                    deletedFiles = [];
+                    deletedFileMap.set(stats.size, deletedFiles);
+                }
+
+                deletedFiles.push({
+                    path: internal_file_path,
+                    size: stats.size,
+                    hash: undefined
+                });
+
+                callback();
+            });
+        };
+
+        let getHash = (filePath, deletedFile, callback) => {
+            if (deletedFile !== undefined && deletedFile.hash !== undefined) {
+                callback(undefined, deletedFile.hash);
+                return;
+            }
+
+            FolderSync._hashFile(filePath, rateLimiter, (err, hash) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                if (deletedFile !== undefined) {
+                    deletedFile.hash = hash;
+                }
+
+                callback(undefined, hash);
+            });
+        };
+
+        let moves = [];
+
+        let matchCreatedFile = (internal_file_path, callback) => {
+            let sourceFilePath = path.join(sourceFolderPath, internal_file_path);
+
+            fse.stat(sourceFilePath, (err, stats) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                let candidates = deletedFileMap.get(stats.size);
+
+                if (candidates === undefined || candidates.length === 0) {
+                    callback();
+                    return;
+                }
+
+                getHash(sourceFilePath, undefined, (err, sourceFileHash) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    TaskLimiter.forEach(candidates, 1, (candidate, callback) => {
+                        getHash(path.join(destFolderPath, candidate.path), candidate, callback);
+                    }, (err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        let matchedFile = candidates.find(item => item.hash === sourceFileHash);
+
+                        if (matchedFile !== undefined) {
+                            candidates.splice(candidates.indexOf(matchedFile), 1);
+                            moves.push({
+                                path: internal_file_path,
+                                from: matchedFile.path
+                            });
+                        }
+
+                        callback();
+                    });
+                });
+            });
+        };
+
+        TaskLimiter.forEach(syncPlan.deletes, 1, (item, callback) => {
+            if (item.type === 'file') {
+                addDeletedFile(item.path, callback);
+                return;
+            }
+
+            if (item.type !== 'folder') {
+                callback();
+                return;
+            }
+
+            FolderSync._listFilePaths(path.join(destFolderPath, item.path), item.path, (err, filePaths) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                TaskLimiter.forEach(filePaths, 1, addDeletedFile, callback);
+            });
+        }, (err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            TaskLimiter.forEach(createdFilePaths, 1, matchCreatedFile, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                callback(undefined, moves);
+            });
+        });
+    }
+
+    /**
+     * 递归列举文件夹里的所有文件（不包括临时文件）
+     *
+     * @param {*} folderPath
+     * @param {*} internal_folder_path 文件夹的相对路径
+     * @param {*} callback 回调返回 (err, filePaths)，filePaths 为文件的相对路径数组
+     */
+    static _listFilePaths(folderPath, internal_folder_path, callback) {
+        let isSkipped = () => {
+            return false;
+        };
+
+        FolderSync._listEntries(folderPath, internal_folder_path, isSkipped, (err, entries) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(undefined, entries.filter((entry) => {
+                return entry.type === 'file' && !FolderSync._isTempFileName(path.basename(entry.path));
+            }).map((entry) => {
+                return entry.path;
+            }));
+        });
+    }
+
+    /**
+     * 递归列举文件夹里的所有文件和文件夹（包括临时文件）
+     *
+     * @param {*} folderPath
+     * @param {*} internal_folder_path 文件夹的相对路径
+     * @param {*} isSkipped 判断是否跳过一项内容的函数 (internal_file_path, isFolder) => boolean，
+     *     被跳过的文件夹里的内容不会被列举
+     * @param {*} callback 回调返回 (err, entries)，entries 为数组，每一项的格式为
+     *     {path, type}，path 为相对路径，type 为 'file' 或者 'folder'，
+     *     文件夹总是排在其里面的内容之前
+     */
+    static _listEntries(folderPath, internal_folder_path, isSkipped, callback) {
+        FileUtils.list(folderPath, (err, fileInfos) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            let entries = [];
+
+            TaskLimiter.forEach(fileInfos, 1, (fileInfo, callback) => {
+                let internal_file_path = path.join(internal_folder_path, fileInfo.fileName);
+                let isFolder = (fileInfo instanceof FolderInfo);
+
+                if (isSkipped(internal_file_path, isFolder)) {
+                    callback();
+                    return;
+                }
+
+                if (!isFolder) {
+                    entries.push({ path: internal_file_path, type: 'file' });
+                    callback();
+                    return;
+                }
+
+                entries.push({ path: internal_file_path, type: 'folder' });
+
+                FolderSync._listEntries(path.join(folderPath, fileInfo.fileName),
+                    internal_file_path, isSkipped, (err, childEntries) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    entries.push(...childEntries);
+                    callback();
+                });
+            }, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                callback(undefined, entries);
+            });
+        });
+    }
+
+    /**
+     * 判断相对路径是否匹配中模式列表当中的任一个模式
+     *
+     * 模式的格式请见 sync 方法的参数 ignoreFileGlobs 的说明。
+     *
+     * @param {*} internal_file_path
+     * @param {*} globs
+     * @returns boolean
+     */
+    static _isMatchGlobs(internal_file_path, globs) {
+        // https://github.com/isaacs/minimatch
+        //
+        // options 当中的 matchBase
+        // If set, then patterns without slashes will be matched against the basename
+        // of the path if it contains slashes. For example, a?b would match
+        // the path /xyz/123/acb, but not /xyz/acb/123.
+        //
+        // 不过因为搜索文件是从第一层开始搜索，所以如果匹配模式为 a?b，当搜索到
+        // 路径 /xyz/acb 时，该项被匹配中，然后 /xyz/acb/123 就不会被搜索，
+        // 所以从结果上来说 /xyz/123/acb 和 not /xyz/acb/123 都按照预期地
+        // 被正确地排除了。
+        return globs.some((glob) => {
+            return minimatch(internal_file_path, glob, { matchBase: true });
+        });
+    }
+
+    /**
+     * 以选项 concurrency 指定的并发数量逐个处理数组的项目
+     *
+     * 当任一项目（包括其他文件夹里的项目）处理出错时，整个同步过程中
+     * 尚未开始的操作都不再运行，并回调第一个错误。
+     *
+     * @param {*} syncContext
+     * @param {*} items
+     * @param {*} iterator 处理函数 (item, callback) => {...}
+     * @param {*} callback 回调返回 (err)
+     */
+    static _forEach(syncContext, items, iterator, callback) {
+        let taskLimiter = syncContext.taskLimiter;
+
+        TaskLimiter.forEach(items, syncContext.options.concurrency, (item, callback) => {
+            if (taskLimiter.abortError !== undefined) {
+                callback(taskLimiter.abortError);
+                return;
+            }
+
+            iterator(item, (err) => {
+                if (err) {
+                    taskLimiter.abort(err);
+                }
+
+                callback(err);
+            });
+        }, callback);
+    }
+
+    /**
+     * 判断指定的内容是否在本次同步的范围之内
+     *
+     * 当 syncContext.scopePaths 为 undefined 时同步全部内容；否则只同步范围路径
+     * 本身以及其下的所有内容，范围路径的上层文件夹也会被同步，但只处理通往范围路径的
+     * 那一项。
+     *
+     * @param {*} syncContext
+     * @param {*} internal_file_path 文件或者文件夹的相对路径
+     * @returns boolean
+     */
+    static _isInScope(syncContext, internal_file_path) {
+        if (syncContext.scopePaths === undefined) {
+            return true;
+        }
+
+        return syncContext.scopePaths.some((scopePath) => {
+            return internal_file_path === scopePath ||
+                internal_file_path.startsWith(scopePath + '/') ||
+                scopePath.startsWith(internal_file_path + '/');
+        });
+    }
+
+    /**
+     * 触发同步过程中的事件
+     *
+     * 仅当 syncContext 存在 eventEmitter 时才触发
+     *
+     * @param {*} syncContext
+     * @param {*} eventName
+     * @param {*} data
+     */
+    static _emit(syncContext, eventName, data) {
+        if (syncContext.eventEmitter === undefined) {
+            return;
+        }
+
+        syncContext.eventEmitter.emit(eventName, data);
+    }
+
+    /**
+     * 包装处理单个文件或者文件夹的回调函数
+     *
+     * 当选项 continueOnError 为 true 时，把该路径的错误记录到同步结果，并触发
+     * 'entry-failed' 事件，然后以没有错误的方式回调，以便继续同步其余的内容；
+     * 否则直接返回原回调函数。
+     *
+     * @param {*} syncContext
+     * @param {*} internal_file_path 文件或者文件夹的相对路径
+     * @param {*} callback 回调函数 (err, ...)
+     * @returns 回调函数
+     */
+    static _handleEntryError(syncContext, internal_file_path, callback) {
+        if (!syncContext.options.continueOnError) {
+            return callback;
+        }
+
+        return (err, ...args) => {
+            if (err) {
+                syncContext.syncResult.addFailure(internal_file_path, err);
+                FolderSync._emit(syncContext, 'entry-failed', {
+                    path: internal_file_path,
+                    error: err
+                });
+
+                callback();
+                return;
+            }
+
+            callback(undefined, ...args);
+        };
+    }
+
+    /**
+     *
+     * @param {*} sourceFolderPath 当前的同步源文件夹路径
+     * @param {*} destFolderPath 当前的同步目标文件夹路径
+     * @param {*} syncContext 同步的参数以及状态，包括：
+     *     - options 选项对象，包括 deleteExtraneous、ignoreFileGlobs、
+     *       dryRun（是否仅模拟同步，当为 true 时不会改变目标文件夹）等，
+     *       详细请见 SyncOptions
+     *     - syncResult 用于记录同步结果的对象，同步时为 SyncReport 对象，
+     *       模拟同步时为 SyncPlan 对象
+     *     - eventEmitter 可选的 EventEmitter 对象，用于触发同步过程中的事件，
+     *       事件的说明请见 EventFolderSync
+     *     - taskLimiter TaskLimiter 对象，用于限制同时比较和复制的文件的数量
+     *     - manifestFilePath, manifest, updatedManifest 当使用同步清单时，
+     *       分别为清单文件的路径、上一次同步的清单（SyncManifest 对象），以及
+     *       本次同步正在构建的清单（模拟同步时为 undefined）
+     *     - folderStateMap 各个文件夹（相对路径）的状态，比如适用的忽略文件规则
+     *     - sourceRealPath 源文件夹的真实路径（即解析了符号链接之后的路径）
+     *     - backupFolderPath 本次同步的备份文件夹路径，当选项 backupFolderPath
+     *       没有设置时为 undefined
+     *     - scopePaths 只同步部分内容时的范围路径列表（比如监视模式下有改变的内容），
+     *       同步全部内容时为 undefined，详细请见 _isInScope 方法
+     *     - comparedFileMap 已经比较过的文件（相对路径）的结果，格式为
+     *       {source, dest, isIdentical, sourceFileHash}，其中 source 和 dest 为比较时
+     *       文件的 {size, mtime}，仅当使用选项 detectMoves 时，否则为 undefined
+     * @param {*} internal_folder_path 方法内部使用的变量，表示**当前**正在同步
+     *     的文件夹相对路径（相对 sourceFolderPath 和 destFolderPath 来说）
+     *
+     *     必须以 '/' 字符开头，比如 '/foo'， '/foo/bar'
+     *     同步的第 1 层文件夹时的相对路径为 '/'
+     *
+     *     sourceFolderPath, destFolderPath 路径当中已经包含了
+     *     internal_folder_path，所以不要拼接它们。
+     *
+     * @param {*} callback
+     */
+    static _syncFolder(sourceFolderPath, destFolderPath, syncContext, internal_folder_path, callback) {
+
+        let { deleteExtraneous, ignoreFileGlobs, ignoreFileName, includeFileGlobs,
+            backupSuffix, symlinks, syncMetadata } = syncContext.options;
+
+        // 当前文件夹的状态，子文件夹通过 syncContext.folderStateMap 获取上层文件夹的状态
+        //
+        // - ignoreRules 当前文件夹适用的忽略文件规则，包括上层文件夹以及当前文件夹的忽略文件
+        // - ensureDestFolder 确保目标文件夹存在的方法
+        // - realPaths 当前文件夹以及所有上层源文件夹的真实路径，用于检测跟随符号链接时
+        //   形成的循环（仅当选项 symlinks 为 SymlinkPolicy.follow 时）
+        let folderState = {
+            ignoreRules: undefined,
+            ensureDestFolder: undefined,
+            realPaths: undefined
+        };
+
+        let parentFolderState = (internal_folder_path === '/') ?
+            undefined :
+            syncContext.folderStateMap.get(path.dirname(internal_folder_path));
+
+        syncContext.folderStateMap.set(internal_folder_path, folderState);
+
+        FolderSync._emit(syncContext, 'folder-entered', {
+            path: internal_folder_path
+        });
+
+        // ## sourceFolderPath, destFolderPath:
+        // 当前正在同步的源文件夹路径和目标文件夹路径
+        //
+        // ## internal_folder_path
+        // 方法内部使用的变量，表示**当前**正在同步
+        // 的文件夹相对路径（相对 sourceFolderPath 和 destFolderPath 来说）
+        //
+        // 必须以 '/' 字符开头，比如 '/foo'， '/foo/bar'
+        // 同步的第 1 层文件夹时的相对路径为 '/'
+        //
+        // sourceFolderPath, destFolderPath 路径当中已经包含了
+        // internal_folder_path，所以不要拼接它们。
+
+        // 当使用选项 syncMetadata 时，更新目标文件夹的元数据
+        //
+        // 必须在文件夹里的内容都更新之后才进行，因为更新内容会改变文件夹的修改时间。
+        // 本次同步新建的文件夹也需要更新元数据，但不记录到同步结果，模拟同步时则跳过。
+        let processUpdateFolderMetadata = () => {
+            if (!syncMetadata || !isDestFolderExists ||
+                (isDestFolderCreated && syncContext.options.dryRun)) {
+                callback();
+                return;
+            }
+
+            FolderSync._updateMetadata(sourceFolderPath, destFolderPath, syncContext, (err, isUpdated) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                if (isUpdated && !isDestFolderCreated) {
+                    FolderSync._addMetadataUpdate(syncContext, 'folder', internal_folder_path);
+                }
+
+                callback();
+            });
+        };
+
+        let processUpdateFolders = (toBeAddedFolderNames) => {
+            FolderSync._forEach(syncContext, toBeAddedFolderNames, (folderName, callback) => {
+                let sourceSubFolderPath = path.join(sourceFolderPath, folderName);
+                let destSubFolderPath = path.join(destFolderPath, folderName);
+                let subFolderPath = path.join(internal_folder_path, folderName);
+
+                FolderSync._syncFolder(sourceSubFolderPath, destSubFolderPath,
+                    syncContext, subFolderPath,
+                    FolderSync._handleEntryError(syncContext, subFolderPath, callback));
+            }, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                processUpdateFolderMetadata();
+            });
+        };
+
+        let processUpdateFiles = (toBeAddedFileNames, toBeAddedLinkInfos, toBeAddedFolderNames) => {
+            if (toBeAddedFileNames.length === 0 && toBeAddedLinkInfos.length === 0) {
+                processUpdateFolders(toBeAddedFolderNames);
+                return;
+            }
+
+            folderState.ensureDestFolder((err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                FolderSync._updateFiles(sourceFolderPath, destFolderPath, toBeAddedFileNames,
+                    syncContext, internal_folder_path, (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    FolderSync._updateLinks(destFolderPath, toBeAddedLinkInfos,
+                        syncContext, internal_folder_path, (err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        processUpdateFolders(toBeAddedFolderNames);
+                    });
+                });
+            });
+        };
+
+        // 删除目标文件夹指定的内容
+        //
+        // 必须在所有删除操作都完成之后，才开始复制文件到当前文件夹，
+        // 因为被删除的有可能是跟源文件同名但类型不同的内容。
+        //
+        // 如果跟源文件同名但类型不同的目标文件夹里有受保护的内容，则该文件夹
+        // 不会被删除，同名的源文件也不会被同步。
+        let processRemove = (toBeRemovedFileInfos, toBeAddedFileNames, toBeAddedLinkInfos, toBeAddedFolderNames) => {
+            let skippedFileNames = new Set();
+
+            FolderSync._forEach(syncContext, toBeRemovedFileInfos, (fileInfo, callback) => {
+                let internal_file_path = path.join(internal_folder_path, fileInfo.fileName);
+                let filePath = path.join(destFolderPath, fileInfo.fileName);
+
+                // 删除出错（且选项 continueOnError 为 true）时 isRemoved 为 undefined，
+                // 同名的源文件同样不会被同步。
+                FolderSync._removeDestEntry(filePath, isFolder(fileInfo),
+                    syncContext, internal_file_path,
+                    FolderSync._handleEntryError(syncContext, internal_file_path, (err, isRemoved) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        if (!isRemoved) {
+                            skippedFileNames.add(fileInfo.fileName);
+                        }
+
+                        callback();
+                    }));
+            }, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                let isNotSkipped = (fileName) => {
+                    return !skippedFileNames.has(fileName);
+                };
+
+                processUpdateFiles(
+                    toBeAddedFileNames.filter(isNotSkipped),
+                    toBeAddedLinkInfos.filter(item => isNotSkipped(item.fileName)),
+                    toBeAddedFolderNames.filter(isNotSkipped));
+            });
+        };
+
+        // 判断指定的目录和文件是否匹配中忽略模式列表
+        let isIgnoreFile = (fileInfo) => {
+            let filePath = path.join(internal_folder_path, fileInfo.fileName);
+
+            if (folderState.ignoreRules.isIgnored(filePath, isFolder(fileInfo))) {
+                return true;
+            }
+
+            if (!isFolder(fileInfo) && !isIncludeFile(filePath)) {
+                return true;
+            }
+
+            if (ignoreFileGlobs === undefined) {
+                return false;
+            }
+
+            return FolderSync._isMatchGlobs(filePath, ignoreFileGlobs);
+        };
+
+        // 判断指定的文件是否匹配中包含模式列表，当包含模式列表为空时，包含所有文件
+        let isIncludeFile = (filePath) => {
+            if (includeFileGlobs.length === 0) {
+                return true;
+            }
+
+            // 跟忽略模式不同，包含模式统一不以 '/' 开头，不带 '/' 的模式
+            // 匹配任意一层里的文件名称，比如 '*.html'
+            let relativeFilePath = filePath.substring(1);
+
+            return includeFileGlobs.some((includeFile) => {
+                return minimatch(relativeFilePath, includeFile.replace(/^\//, ''), { matchBase: true });
+            });
+        };
+
+        // 读取当前文件夹里的忽略文件，跟上层文件夹的忽略规则合并
+        let loadIgnoreRules = (sourceFileInfoList, callback) => {
+            let parentIgnoreRules = (parentFolderState === undefined) ?
+                new IgnoreRules() :
+                parentFolderState.ignoreRules;
+
+            let hasIgnoreFile = ignoreFileName !== undefined &&
+                sourceFileInfoList.some((item) => {
+                    return !isFolder(item) && item.fileName === ignoreFileName;
+                });
+
+            if (!hasIgnoreFile) {
+                callback(undefined, parentIgnoreRules);
+                return;
+            }
+
+            fse.readFile(path.join(sourceFolderPath, ignoreFileName), 'utf8', (err, content) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                callback(undefined, parentIgnoreRules.concat(content, internal_folder_path));
+            });
+        };
+
+        // 判断文件信息项目（AbstractFileInfo）是否为文件夹
+        let isFolder = (abstractFileInfo) => {
+            return (abstractFileInfo instanceof FolderInfo);
+        };
+
+        // 判断文件信息项目是否为（被保留的）符号链接
+        let isLink = (abstractFileInfo) => {
+            return (abstractFileInfo instanceof LinkInfo);
+        };
+
+        let getFileType = (abstractFileInfo) => {
+            return isFolder(abstractFileInfo) ? 'folder' :
+                (isLink(abstractFileInfo) ? 'link' : 'file');
+        };
+
+        let findFileInfoItemByFileName = (fileInfoList, fileName) => {
+            return fileInfoList.find((item) => {
+                return item.fileName === fileName;
+            });
+        };
+
+        // 列举目标文件夹的内容
+        //
+        // 如果目标文件夹不存在（或者是一个将会被删除的同名文件，仅在模拟同步时
+        // 会出现这种情况），则视为一个空的文件夹，需要时再通过
+        // folderState.ensureDestFolder 方法创建。
+        let listDestFolder = (callback) => {
+            fse.stat(destFolderPath, (err, stats) => {
+                if (err && err.code !== 'ENOENT') {
+                    callback(err);
+                    return;
+                }
+
+                if (err || !stats.isDirectory()) {
+                    callback(undefined, []);
+                    return;
+                }
+
+                isDestFolderExists = true;
+
+                FileUtils.list(destFolderPath, (err, destFileInfoList) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    // 保留符号链接时，目标文件夹里的链接也不跟随
+                    if (symlinks !== SymlinkPolicy.preserve) {
+                        callback(undefined, destFileInfoList);
+                        return;
+                    }
+
+                    FolderSync._replaceLinkEntries(destFolderPath, destFileInfoList, syncContext, callback);
+                });
+            });
+        };
+
+        // 确保目标文件夹存在，如果不存在则先确保上层目标文件夹存在，然后再创建。
+        //
+        // 模拟同步时不会创建目标文件夹，只记录到同步计划。
+        let isDestFolderExists = false;
+        let isDestFolderCreated = false;
+        let pendingEnsureCallbacks = [];
+
+        folderState.ensureDestFolder = (callback) => {
+            if (isDestFolderExists) {
+                callback();
+                return;
+            }
+
+            pendingEnsureCallbacks.push(callback);
+
+            if (pendingEnsureCallbacks.length > 1) {
+                // 正在创建
+                return;
+            }
+
+            let finishEnsure = (err) => {
+                let callbacks = pendingEnsureCallbacks;
+                pendingEnsureCallbacks = [];
+
+                for (let callback of callbacks) {
+                    callback(err);
+                }
+            };
+
+            let ensureParentDestFolder = (parentFolderState === undefined) ?
+                (callback) => { callback(); } :
+                parentFolderState.ensureDestFolder;
+
+            ensureParentDestFolder((err) => {
+                if (err) {
+                    finishEnsure(err);
+                    return;
+                }
+
+                let createDestFolder = syncContext.options.dryRun ?
+                    (callback) => { callback(); } :
+                    (callback) => { fse.ensureDir(destFolderPath, callback); };
+
+                createDestFolder((err) => {
+                    if (err) {
+                        finishEnsure(err);
+                        return;
+                    }
+
+                    isDestFolderExists = true;
+                    isDestFolderCreated = true;
+
+                    if (internal_folder_path !== '/') {
+                        syncContext.syncResult.addCreate('folder', internal_folder_path);
+                    }
+
+                    finishEnsure();
+                });
+            });
+        };
+
+        let isTempFile = (fileInfo) => {
+            return !isFolder(fileInfo) && FolderSync._isTempFileName(fileInfo.fileName);
+        };
+
+        // 保存在目标文件夹里的清单文件、备份文件夹以及临时文件不参与同步
+        let isNotInternalFile = (fileInfo) => {
+            let filePath = path.resolve(destFolderPath, fileInfo.fileName);
+
+            return filePath !== syncContext.manifestFilePath &&
+                (syncContext.backupFolderPath === undefined ||
+                    filePath !== path.dirname(syncContext.backupFolderPath)) &&
+                !isTempFile(fileInfo);
+        };
+
+        let isInScope = (fileInfo) => {
+            return FolderSync._isInScope(syncContext, path.join(internal_folder_path, fileInfo.fileName));
+        };
+
+        // 删除之前的同步中断时遗留在目标文件夹里的临时文件
+        let removeTempFiles = (destFileInfoList, callback) => {
+            let tempFileInfos = destFileInfoList.filter(isTempFile);
+
+            if (syncContext.options.dryRun || tempFileInfos.length === 0) {
+                callback();
+                return;
+            }
+
+            FolderSync._forEach(syncContext, tempFileInfos, (tempFileInfo, callback) => {
+                fse.remove(path.join(destFolderPath, tempFileInfo.fileName), callback);
+            }, callback);
+        };
+
+        // 被跳过的源符号链接的名称，目标文件夹里同名的内容不会被删除
+        let skippedLinkNames = new Set();
+
+        let skipLink = (linkName, reason) => {
+            let internal_file_path = path.join(internal_folder_path, linkName);
+
+            skippedLinkNames.add(linkName);
+            syncContext.syncResult.addSkippedLink(internal_file_path, reason);
+            FolderSync._emit(syncContext, 'link-skipped', {
+                path: internal_file_path,
+                reason: reason
+            });
+        };
+
+        // 如果链接的目标（真实路径）在源文件夹之外，则记录下来
+        let checkExternalLink = (linkName, targetPath) => {
+            let relativePath = path.relative(syncContext.sourceRealPath, targetPath);
+
+            if (relativePath !== '..' && !relativePath.startsWith('..' + path.sep) &&
+                !path.isAbsolute(relativePath)) {
+                return;
+            }
+
+            let internal_file_path = path.join(internal_folder_path, linkName);
+
+            syncContext.syncResult.addExternalLink(internal_file_path, targetPath);
+            FolderSync._emit(syncContext, 'link-external', {
+                path: internal_file_path,
+                target: targetPath
+            });
+        };
+
+        // 列举源文件夹的内容，并按照选项 symlinks 处理其中的符号链接
+        //
+        // - follow: 保留 FileUtils.list 返回的（链接目标的）信息，但跳过目标不存在，
+        //   或者指向当前文件夹以及上层文件夹（即形成循环）的链接；
+        // - preserve: 把链接替换为 LinkInfo 对象；
+        // - skip: 移除所有链接。
+        let listSourceFolder = (callback) => {
+            FileUtils.list(sourceFolderPath, (err, sourceFileInfoList) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                if (symlinks === SymlinkPolicy.preserve) {
+                    FolderSync._replaceLinkEntries(sourceFolderPath, sourceFileInfoList, syncContext, (err, sourceFileInfoList) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        // 不跟随链接时，当前文件夹的真实路径即为源文件夹的真实路径加上相对路径
+                        let folderRealPath = path.join(syncContext.sourceRealPath, internal_folder_path);
+
+                        for (let fileInfo of sourceFileInfoList.filter(isLink)) {
+                            checkExternalLink(fileInfo.fileName, path.resolve(folderRealPath, fileInfo.target));
+                        }
+
+                        callback(undefined, sourceFileInfoList);
+                    });
+                    return;
+                }
+
+                FolderSync._listLinkNames(sourceFolderPath, (err, linkNames) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    if (symlinks === SymlinkPolicy.skip) {
+                        for (let linkName of linkNames) {
+                            skipLink(linkName, 'skip');
+                        }
+
+                        callback(undefined, sourceFileInfoList.filter((item) => {
+                            return !skippedLinkNames.has(item.fileName);
+                        }));
+                        return;
+                    }
+
+                    fse.realpath(sourceFolderPath, (err, folderRealPath) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        folderState.realPaths = new Set(parentFolderState === undefined ?
+                            [] : parentFolderState.realPaths);
+                        folderState.realPaths.add(folderRealPath);
+
+                        FolderSync._forEach(syncContext, linkNames, (linkName, callback) => {
+                            fse.realpath(path.join(sourceFolderPath, linkName), (err, targetPath) => {
+                                if (err) {
+                                    if (err.code === 'ENOENT' || err.code === 'ELOOP') {
+                                        skipLink(linkName, 'broken');
+                                        callback();
+                                    } else {
+                                        callback(err);
+                                    }
+                                    return;
+                                }
+
+                                checkExternalLink(linkName, targetPath);
+
+                                if (folderState.realPaths.has(targetPath)) {
+                                    skipLink(linkName, 'loop');
+                                }
+
+                                callback();
+                            });
+                        }, (err) => {
+                            if (err) {
+                                callback(err);
+                                return;
+                            }
+
+                            callback(undefined, sourceFileInfoList.filter((item) => {
+                                return !skippedLinkNames.has(item.fileName);
+                            }));
+                        });
+                    });
+                });
+            });
+        };
+
+        // 列举源文件夹和目标文件夹的内容
+        listSourceFolder((err, sourceFileInfoList) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            loadIgnoreRules(sourceFileInfoList, (err, folderIgnoreRules) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                folderState.ignoreRules = folderIgnoreRules;
+
+                listDestFolder((err, destFileInfoList) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    removeTempFiles(destFileInfoList, (err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        // 源文件夹里的临时文件（比如源文件夹本身是另一个同步的目标文件夹）
+                        // 不会被同步，记录为被忽略的内容
+                        for (let sourceFileInfoItem of sourceFileInfoList.filter(isTempFile).filter(isInScope)) {
+                            let internal_file_path = path.join(internal_folder_path, sourceFileInfoItem.fileName);
+
+                            syncContext.syncResult.addIgnore('file', internal_file_path);
+                            FolderSync._emit(syncContext, 'entry-ignored', {
+                                type: 'file',
+                                path: internal_file_path
+                            });
+                        }
+
+                        sourceFileInfoList = sourceFileInfoList.filter(isNotInternalFile).filter(isInScope);
+                        destFileInfoList = destFileInfoList.filter(isNotInternalFile).filter(isInScope);
+
+                        let toBeRemovedFileInfos = [];
+                        let protectedFileNames = new Set();
+
+                        // - 删除文件类型不同的同名内容，比如同名的源文件是文件，目标文件是文件夹
+                        // - 当 deleteExtraneous 参数为 true 时，还删除目标文件夹多出来的内容，
+                        //   即目标文件夹存在，但源文件夹不存在的内容
+                        //
+                        // 被忽略的内容不会被删除；匹配中保护模式列表的内容也不会被删除，
+                        // 同时跟它同名但类型不同的源文件也不会被同步。
+                        for (let destFileInfoItem of destFileInfoList) {
+                            let sourceFileInfoItem = findFileInfoItemByFileName(sourceFileInfoList, destFileInfoItem.fileName);
+
+                            let isExtraneous = (sourceFileInfoItem === undefined);
+                            let isTypeMismatch = !isExtraneous &&
+                                getFileType(sourceFileInfoItem) !== getFileType(destFileInfoItem);
+
+                            if (!(isTypeMismatch || (deleteExtraneous && isExtraneous)) ||
+                                isIgnoreFile(destFileInfoItem) ||
+                                skippedLinkNames.has(destFileInfoItem.fileName)) {
+                                continue;
+                            }
+
+                            // 以备份后缀结尾的内容是之前同步时留下的备份，不会被删除
+                            if (isExtraneous && backupSuffix !== undefined &&
+                                destFileInfoItem.fileName.endsWith(backupSuffix)) {
+                                continue;
+                            }
+
+                            let internal_file_path = path.join(internal_folder_path, destFileInfoItem.fileName);
+
+                            if (FolderSync._isProtectFile(syncContext, internal_file_path)) {
+                                FolderSync._addProtect(syncContext,
+                                    getFileType(destFileInfoItem), internal_file_path);
+                                protectedFileNames.add(destFileInfoItem.fileName);
+                                continue;
+                            }
+
+                            toBeRemovedFileInfos.push(destFileInfoItem);
+                        }
+
+                        // 记录源文件夹里被忽略的内容
+                        for (let sourceFileInfoItem of sourceFileInfoList) {
+                            if (isIgnoreFile(sourceFileInfoItem)) {
+                                let fileType = getFileType(sourceFileInfoItem);
+                                let internal_file_path = path.join(internal_folder_path, sourceFileInfoItem.fileName);
+
+                                syncContext.syncResult.addIgnore(fileType, internal_file_path);
+                                FolderSync._emit(syncContext, 'entry-ignored', {
+                                    type: fileType,
+                                    path: internal_file_path
+                                });
+                            }
+                        }
+
+                        let toBeAddedFileNames = sourceFileInfoList.filter((item) => {
+                            return (
+                                !isFolder(item) &&
+                                !isLink(item) &&
+                                !isIgnoreFile(item) &&
+                                !protectedFileNames.has(item.fileName));
+                        }).map((item) => {
+                            return item.fileName;
+                        });
+
+                        let toBeAddedLinkInfos = sourceFileInfoList.filter((item) => {
+                            return (
+                                isLink(item) &&
+                                !isIgnoreFile(item) &&
+                                !protectedFileNames.has(item.fileName));
+                        });
+
+                        let toBeAddedFolderNames = sourceFileInfoList.filter((item) => {
+                            return (
+                                isFolder(item) &&
+                                !isIgnoreFile(item) &&
+                                !protectedFileNames.has(item.fileName));
+                        }).map((item) => {
+                            return item.fileName;
+                        });
+
+                        // 当使用包含模式时，只有当文件夹里有需要同步的文件时才创建目标文件夹，
+                        // 以避免创建空的文件夹；否则跟源文件夹一样，总是创建目标文件夹。
+                        if (includeFileGlobs.length > 0 && internal_folder_path !== '/') {
+                            processRemove(toBeRemovedFileInfos, toBeAddedFileNames, toBeAddedLinkInfos, toBeAddedFolderNames);
+                            return;
+                        }
+
+                        folderState.ensureDestFolder((err) => {
+                            if (err) {
+                                callback(err);
+                                return;
+                            }
+
+                            processRemove(toBeRemovedFileInfos, toBeAddedFileNames, toBeAddedLinkInfos, toBeAddedFolderNames);
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * 使目标文件或者文件夹的元数据跟源的一致
+     *
+     * 元数据包括权限（mode）、访问时间和修改时间，以及所有者（uid 和 gid，
+     * 仅当当前进程有权限修改时，即以 root 身份运行时）。
+     *
+     * 模拟同步时不会作任何改变，只返回是否需要更新。
+     *
+     * @param {*} sourcePath
+     * @param {*} destPath
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err, isUpdated)
+     */
+    static _updateMetadata(sourcePath, destPath, syncContext, callback) {
+        fse.stat(sourcePath, (err, sourceStats) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            fse.stat(destPath, (err, destStats) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                let sourceMode = sourceStats.mode & PERMISSION_MODE_MASK;
+
+                let { isModeChanged, isTimeChanged, isOwnerChanged } =
+                    FolderSync._compareMetadata(sourceStats, destStats);
+
+                if (!isModeChanged && !isTimeChanged && !isOwnerChanged) {
+                    callback(undefined, false);
+                    return;
+                }
+
+                if (syncContext.options.dryRun) {
+                    callback(undefined, true);
+                    return;
+                }
+
+                let changeMode = (callback) => {
+                    if (!isModeChanged) {
+                        callback();
+                        return;
+                    }
+
+                    fse.chmod(destPath, sourceMode, callback);
+                };
+
+                let changeOwner = (callback) => {
+                    if (!isOwnerChanged) {
+                        callback();
+                        return;
+                    }
+
+                    fse.chown(destPath, sourceStats.uid, sourceStats.gid, callback);
+                };
+
+                changeMode((err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    changeOwner((err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        // 修改权限和所有者不会改变修改时间，但仍然在最后才设置时间戳
+                        fse.utimes(destPath, sourceStats.atime, sourceStats.mtime, (err) => {
+                            if (err) {
+                                callback(err);
+                                return;
+                            }
+
+                            callback(undefined, true);
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * 比较源和目标的元数据
+     *
+     * @param {*} sourceStats
+     * @param {*} destStats
+     * @returns {isModeChanged, isTimeChanged, isOwnerChanged}，所有者仅当
+     *     当前进程有权限修改时才比较
+     */
+    static _compareMetadata(sourceStats, destStats) {
+        return {
+            isModeChanged: (sourceStats.mode & PERMISSION_MODE_MASK) !== (destStats.mode & PERMISSION_MODE_MASK),
+
+            // 复制文件时时间戳只保留到毫秒，所以只比较到毫秒
+            isTimeChanged: sourceStats.mtime.getTime() !== destStats.mtime.getTime(),
+
+            isOwnerChanged: FolderSync._canChangeOwner() &&
+                (sourceStats.uid !== destStats.uid || sourceStats.gid !== destStats.gid)
+        };
+    }
+
+    /**
+     * 设置目标文件的所有者跟源文件的一致，仅当当前进程有权限修改时
+     *
+     * @param {*} sourcePath
+     * @param {*} destPath
+     * @param {*} callback 回调返回 (err)
+     */
+    static _updateOwner(sourcePath, destPath, callback) {
+        if (!FolderSync._canChangeOwner()) {
+            callback();
+            return;
+        }
+
+        fse.stat(sourcePath, (err, sourceStats) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            fse.chown(destPath, sourceStats.uid, sourceStats.gid, callback);
+        });
+    }
+
+    /**
+     * 当前进程是否有权限修改文件的所有者
+     *
+     * 只有 root 用户才能把文件的所有者修改为其他用户，Windows 系统
+     * 不支持 uid 和 gid。
+     *
+     * @returns boolean
+     */
+    static _canChangeOwner() {
+        return typeof process.getuid === 'function' && process.getuid() === 0;
+    }
+
+    static _addMetadataUpdate(syncContext, fileType, internal_file_path) {
+        syncContext.syncResult.addMetadataUpdate(fileType, internal_file_path);
+        FolderSync._emit(syncContext, 'metadata-updated', {
+            type: fileType,
+            path: internal_file_path
+        });
+    }
+
+    /**
+     * 列举文件夹里的符号链接的名称
+     *
+     * @param {*} folderPath
+     * @param {*} callback 回调返回 (err, linkNames)
+     */
+    static _listLinkNames(folderPath, callback) {
+        fse.readdir(folderPath, { withFileTypes: true }, (err, dirents) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            let linkNames = dirents.filter((dirent) => {
+                return dirent.isSymbolicLink();
+            }).map((dirent) => {
+                return dirent.name;
+            });
+
+            callback(undefined, linkNames);
+        });
+    }
+
+    /**
+     * 把文件信息列表里的符号链接（FileUtils.list 返回的是链接目标的信息）
+     * 替换为 LinkInfo 对象
+     *
+     * @param {*} folderPath
+     * @param {*} fileInfoList FileUtils.list 返回的列表
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err, fileInfoList)
+     */
+    static _replaceLinkEntries(folderPath, fileInfoList, syncContext, callback) {
+        FolderSync._listLinkNames(folderPath, (err, linkNames) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (linkNames.length === 0) {
+                callback(undefined, fileInfoList);
+                return;
+            }
+
+            let linkInfos = [];
+
+            FolderSync._forEach(syncContext, linkNames, (linkName, callback) => {
+                fse.readlink(path.join(folderPath, linkName), (err, target) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    linkInfos.push(new LinkInfo(linkName, target));
+                    callback();
+                });
+            }, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                // 目标不存在的链接有可能不在 FileUtils.list 返回的列表里
+                let linkNameSet = new Set(linkNames);
+
+                callback(undefined, fileInfoList.filter((item) => {
+                    return !linkNameSet.has(item.fileName);
+                }).concat(linkInfos));
+            });
+        });
+    }
+
+    /**
+     * 判断目标文件夹里的指定内容是否匹配中保护模式列表
+     *
+     * @param {*} syncContext
+     * @param {*} internal_file_path 内容的相对路径，比如 '/foo/bar.txt'
+     * @returns boolean
+     */
+    static _isProtectFile(syncContext, internal_file_path) {
+        // 保护模式的格式跟忽略模式一致
+        return syncContext.options.protectFileGlobs.some((protectFile) => {
+            return minimatch(internal_file_path, protectFile, { matchBase: true });
+        });
+    }
+
+    static _addProtect(syncContext, fileType, internal_file_path) {
+        syncContext.syncResult.addProtect(fileType, internal_file_path);
+        FolderSync._emit(syncContext, 'entry-protected', {
+            type: fileType,
+            path: internal_file_path
+        });
+    }
+
+    /**
+     * 删除目标文件夹里的一个文件或者文件夹
+     *
+     * 如果被删除的是文件夹，且文件夹里有受保护的内容，则只删除其中
+     * 不受保护的内容，该文件夹会被保留。
+     *
+     * 模拟同步时不会删除任何内容，只记录到同步计划。
+     *
+     * @param {*} destFilePath
+     * @param {*} isFolderEntry 被删除的是否为文件夹
+     * @param {*} syncContext
+     * @param {*} internal_file_path
+     * @param {*} callback 回调返回 (err, isRemoved)
+     */
+    static _removeDestEntry(destFilePath, isFolderEntry, syncContext, internal_file_path, callback) {
+        let { dryRun, protectFileGlobs } = syncContext.options;
+        let fileType = isFolderEntry ? 'folder' : 'file';
+
+        let processRemove = () => {
+            if (dryRun) {
+                syncContext.syncResult.addDelete(fileType, internal_file_path);
+                callback(undefined, true);
+                return;
+            }
+
+            FolderSync._backupOrRemoveDestEntry(destFilePath, syncContext, internal_file_path, fileType, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                syncContext.syncResult.addDelete(fileType, internal_file_path);
+                FolderSync._emit(syncContext, 'file-deleted', {
+                    type: fileType,
+                    path: internal_file_path
+                });
+
+                callback(undefined, true);
+            });
+        };
+
+        // 逐个删除文件夹里的内容，并跳过受保护的内容
+        let processRemoveChildren = () => {
+            FileUtils.list(destFilePath, (err, fileInfos) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                TaskLimiter.forEach(fileInfos, 1, (fileInfo, callback) => {
+                    let childFilePath = path.join(destFilePath, fileInfo.fileName);
+                    let internal_child_file_path = path.join(internal_file_path, fileInfo.fileName);
+                    let isChildFolder = (fileInfo instanceof FolderInfo);
+
+                    if (FolderSync._isProtectFile(syncContext, internal_child_file_path)) {
+                        FolderSync._addProtect(syncContext,
+                            isChildFolder ? 'folder' : 'file', internal_child_file_path);
+                        callback();
+                        return;
+                    }
+
+                    FolderSync._removeDestEntry(childFilePath, isChildFolder,
+                        syncContext, internal_child_file_path,
+                        FolderSync._handleEntryError(syncContext, internal_child_file_path, callback));
+                }, (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    callback(undefined, false);
+                });
+            });
+        };
+
+        if (!isFolderEntry || protectFileGlobs.length === 0) {
+            processRemove();
+            return;
+        }
+
+        FolderSync._containsProtectFile(destFilePath, syncContext, internal_file_path, (err, isContains) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (isContains) {
+                processRemoveChildren();
+            } else {
+                processRemove();
+            }
+        });
+    }
+
+    /**
+     * 备份目标文件夹里的一个文件或者文件夹
+     *
+     * - 当设置了选项 backupFolderPath 时，移动到本次同步的备份文件夹里，并保持其相对路径；
+     * - 当设置了选项 backupSuffix 时，在原位置重命名为 “原名称 + 后缀”，并覆盖之前的备份；
+     * - 否则直接删除。
+     *
+     * @param {*} destFilePath
+     * @param {*} syncContext
+     * @param {*} internal_file_path
+     * @param {*} fileType 'file'、'folder' 或者 'link'
+     * @param {*} callback 回调返回 (err)
+     */
+    static _backupOrRemoveDestEntry(destFilePath, syncContext, internal_file_path, fileType, callback) {
+        let { backupSuffix } = syncContext.options;
+
+        let backupFilePath;
+
+        if (syncContext.backupFolderPath !== undefined) {
+            backupFilePath = path.join(syncContext.backupFolderPath, internal_file_path);
+        } else if (backupSuffix !== undefined) {
+            backupFilePath = destFilePath + backupSuffix;
+        } else {
+            fse.remove(destFilePath, callback);
+            return;
+        }
+
+        fse.move(destFilePath, backupFilePath, { overwrite: true }, (err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            syncContext.syncResult.addBackup(fileType, internal_file_path);
+            callback();
+        });
+    }
+
+    /**
+     * 覆盖目标文件夹里的一个文件或者符号链接之前先备份
+     *
+     * 备份的位置跟 _backupOrRemoveDestEntry 方法的相同，但不移动原文件，而是创建
+     * 指向原文件的硬链接（不支持硬链接时则复制），以使之后重命名临时文件时直接
+     * 覆盖原文件，同步期间读取目标文件不会出现文件不存在的情况。
+     *
+     * @param {*} destFilePath
+     * @param {*} syncContext
+     * @param {*} internal_file_path
+     * @param {*} fileType 'file' 或者 'link'
+     * @param {*} callback 回调返回 (err)
+     */
+    static _backupDestEntry(destFilePath, syncContext, internal_file_path, fileType, callback) {
+        let backupFilePath;
+
+        if (syncContext.backupFolderPath !== undefined) {
+            backupFilePath = path.join(syncContext.backupFolderPath, internal_file_path);
+        } else {
+            backupFilePath = destFilePath + syncContext.options.backupSuffix;
+        }
+
+        let linkOrCopy = (callback) => {
+            fse.link(destFilePath, backupFilePath, (err) => {
+                if (!err) {
+                    callback();
+                    return;
+                }
+
+                fse.copy(destFilePath, backupFilePath, { preserveTimestamps: true }, callback);
+            });
+        };
+
+        // 覆盖之前的备份
+        fse.remove(backupFilePath, (err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            fse.ensureDir(path.dirname(backupFilePath), (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                linkOrCopy((err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    syncContext.syncResult.addBackup(fileType, internal_file_path);
+                    callback();
+                });
+            });
+        });
+    }
+
+    /**
+     * 检查目标文件夹里（包括子文件夹）是否有受保护的内容
+     *
+     * @param {*} destFolderPath
+     * @param {*} syncContext
+     * @param {*} internal_folder_path
+     * @param {*} callback 回调返回 (err, isContains)
+     */
+    static _containsProtectFile(destFolderPath, syncContext, internal_folder_path, callback) {
+        FileUtils.list(destFolderPath, (err, fileInfos) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            let isContains = false;
+
+            TaskLimiter.forEach(fileInfos, 1, (fileInfo, callback) => {
+                if (isContains) {
+                    callback();
+                    return;
+                }
+
+                let internal_file_path = path.join(internal_folder_path, fileInfo.fileName);
+
+                if (FolderSync._isProtectFile(syncContext, internal_file_path)) {
+                    isContains = true;
+                    callback();
+                    return;
+                }
+
+                if (!(fileInfo instanceof FolderInfo)) {
+                    callback();
+                    return;
+                }
+
+                FolderSync._containsProtectFile(path.join(destFolderPath, fileInfo.fileName),
+                    syncContext, internal_file_path, (err, isChildContains) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        isContains = isChildContains;
+                        callback();
+                    });
+            }, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                callback(undefined, isContains);
+            });
+        });
+    }
+
+    /**
+     * 更新指定源目录与目标目录当中的一组文件
+     *
+     * @param {*} sourceFolderDirectory
+     * @param {*} destFolderDirectory
+     * @param {*} fileNames
+     * @param {*} syncContext
+     * @param {*} internal_folder_path 当前文件夹的相对路径，
+     *     详细请见 _syncFolder 方法的说明
+     * @param {*} callback 回调返回 (err)
+     */
+    static _updateFiles(sourceFolderDirectory, destFolderDirectory, fileNames, syncContext, internal_folder_path, callback) {
+        FolderSync._forEach(syncContext, fileNames, (fileName, callback) => {
+            let sourceFilePath = path.join(sourceFolderDirectory, fileName);
+            let destFilePath = path.join(destFolderDirectory, fileName);
+            let internal_file_path = path.join(internal_folder_path, fileName);
+
+            // 文件的比较和复制受同步全局的并发数量限制
+            syncContext.taskLimiter.run((done) => {
+                FolderSync._updateFile(sourceFilePath, destFilePath,
+                    syncContext, internal_file_path, done);
+            }, FolderSync._handleEntryError(syncContext, internal_file_path, callback));
+        }, callback);
+    }
+
+    /**
+     * 根据源文件更新目标文件
+     *
+     * - 如果目标文件不存在，则复制源文件为目标文件
+     * - 如果目标文件已存在：
+     *   - 如果目标文件的内容跟源文件不相同，则用源文件覆盖目标文件
+     *   - 如果内容相同，则返回成功。
+     *
+     * 操作的结果会记录到 syncContext.syncResult，模拟同步时只比较文件，不会复制文件。
+     *
+     * @param {*} sourceFilePath
+     * @param {*} destFilePath
+     * @param {*} syncContext
+     * @param {*} internal_file_path 当前文件的相对路径，比如 '/foo/bar.txt'
+     * @param {*} callback 回调返回 (err)
+     */
+    static _updateFile(sourceFilePath, destFilePath, syncContext, internal_file_path, callback) {
+        let { dryRun, compareStrategy, verify, verifyRetries, syncMetadata,
+            linkDest, linkMode, deltaUpdate, deltaBlockSize } = syncContext.options;
+
+        let addCopyResult = (isExists, size) => {
+            if (isExists) {
+                syncContext.syncResult.addOverwrite(internal_file_path, size);
+            } else {
+                syncContext.syncResult.addCreate('file', internal_file_path, size);
+            }
+        };
+
+        // 把目标文件的状态记录到本次同步的清单
+        //
+        // sourceFileHash 为已经得到的源文件散列值，如果为 undefined，
+        // 则计算目标文件的散列值（此时目标文件的内容跟源文件一致）。
+        let updateManifest = (sourceFileHash, callback) => {
+            if (syncContext.updatedManifest === undefined) {
+                callback();
+                return;
+            }
+
+            fse.stat(destFilePath, (err, destStats) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                if (sourceFileHash !== undefined) {
+                    syncContext.updatedManifest.setRecord(internal_file_path, destStats, sourceFileHash);
+                    callback();
+                    return;
+                }
+
+                FolderSync._hashFile(destFilePath, syncContext.rateLimiter, (err, destFileHash) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    syncContext.updatedManifest.setRecord(internal_file_path, destStats, destFileHash);
+                    callback();
+                });
+            });
+        };
+
+        // 按块增量更新已存在的目标文件
+        //
+        // 当目标文件有多个硬链接，或者使用选项 verify 时更新之后的目标文件跟源文件不一致，
+        // 则改为完整复制。
+        let processDeltaUpdateFile = (sourceFileHash) => {
+            FolderSync._deltaUpdateFile(sourceFilePath, destFilePath, deltaBlockSize, syncContext.rateLimiter, (err, isUpdated, bytesWritten) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                // 目标文件有多个硬链接，改写会同时改变其他链接的内容
+                if (!isUpdated) {
+                    processCopyOrOverwriteFile(true, sourceFileHash, true);
+                    return;
+                }
+
+                let updateDestFileOwner = syncMetadata ?
+                    (callback) => { FolderSync._updateOwner(sourceFilePath, destFilePath, callback); } :
+                    (callback) => { callback(); };
+
+                let verifyDestFile = (callback) => {
+                    if (!verify) {
+                        callback(undefined, true, sourceFileHash);
+                        return;
+                    }
+
+                    FolderSync._compareFile(sourceFilePath, destFilePath, CompareStrategy.hash, syncContext.rateLimiter, callback);
+                };
+
+                updateDestFileOwner((err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    verifyDestFile((err, isIdentical, sourceFileHash) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        if (!isIdentical) {
+                            processCopyOrOverwriteFile(true, sourceFileHash, true);
+                            return;
+                        }
+
+                        fse.stat(destFilePath, (err, stats) => {
+                            if (err) {
+                                callback(err);
+                                return;
+                            }
+
+                            syncContext.syncResult.addDeltaUpdate(internal_file_path, stats.size, bytesWritten);
+
+                            if (verify) {
+                                syncContext.syncResult.addVerify(internal_file_path);
+                            }
+
+                            FolderSync._emit(syncContext, 'file-copied', {
+                                path: internal_file_path,
+                                size: stats.size,
+                                isOverwrite: true,
+                                bytesWritten: bytesWritten
+                            });
+
+                            updateManifest(sourceFileHash, callback);
+                        });
+                    });
+                });
+            });
+        };
+
+        // isFullCopy 为 true 时即使使用选项 deltaUpdate 也完整复制文件
+        let processCopyOrOverwriteFile = (isExists, sourceFileHash, isFullCopy) => {
+            if (dryRun) {
+                addCopyResult(isExists);
+                callback();
+                return;
+            }
+
+            // 使用选项 deltaUpdate 时，只改写已存在的目标文件里内容不同的块。
+            // 需要备份目标文件时仍然完整复制，因为备份会移走原来的目标文件。
+            if (isExists && deltaUpdate && !isFullCopy &&
+                syncContext.backupFolderPath === undefined &&
+                syncContext.options.backupSuffix === undefined) {
+                processDeltaUpdateFile(sourceFileHash);
+                return;
+            }
+
+            let copyOptions = {
+                // 保留文件的时间戳
+                // 即设置文件的 last modification 和 access times 跟源文件一样
+                preserveTimestamps: true,
+
+                // 只有跟随符号链接时，源文件才有可能是链接，此时复制链接目标的内容
+                dereference: true
+            };
+
+            // 覆盖之前先备份目标文件
+            let backupDestFile = (callback) => {
+                if (!isExists || (syncContext.backupFolderPath === undefined &&
+                    syncContext.options.backupSuffix === undefined)) {
+                    callback();
+                    return;
+                }
+
+                FolderSync._backupDestEntry(destFilePath, syncContext, internal_file_path, 'file', callback);
+            };
+
+            // 先把源文件复制到目标文件夹里的临时文件，复制完成之后再重命名为目标文件，
+            // 以避免同步中断或者同步期间读取目标文件时得到不完整的内容。
+            // 同步中断时遗留的临时文件会在下一次同步时被删除。
+            let tempFilePath = FolderSync._getTempFilePath(destFilePath);
+
+            let removeTempFileOnError = (err) => {
+                fse.remove(tempFilePath, () => {
+                    callback(err);
+                });
+            };
+
+            // 计算源文件的散列值，如果之前比较文件时已经得到，则直接使用
+            let getSourceFileHash = (sourceFileHash, callback) => {
+                if (sourceFileHash !== undefined) {
+                    callback(undefined, sourceFileHash);
+                    return;
+                }
+
+                FolderSync._hashFile(sourceFilePath, syncContext.rateLimiter, callback);
+            };
+
+            // 复制源文件到临时文件，回调返回 (err, sourceFileHash)
+            //
+            // 当使用选项 verify 时，还会校验临时文件的散列值，如果跟源文件的不一致，
+            // 则重新复制，超过最大重试次数则返回 VerifyError。
+            let copyToTempFile = (sourceFileHash, retryCount, callback) => {
+                FolderSync._copyFile(sourceFilePath, tempFilePath, copyOptions, syncContext.rateLimiter, (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    if (!verify) {
+                        callback(undefined, sourceFileHash);
+                        return;
+                    }
+
+                    getSourceFileHash(sourceFileHash, (err, sourceFileHash) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        FolderSync._hashFile(tempFilePath, syncContext.rateLimiter, (err, destFileHash) => {
+                            if (err) {
+                                callback(err);
+                                return;
+                            }
+
+                            if (destFileHash === sourceFileHash) {
+                                callback(undefined, sourceFileHash);
+                                return;
+                            }
+
+                            if (retryCount >= verifyRetries) {
+                                callback(new VerifyError(internal_file_path, sourceFileHash, destFileHash));
+                                return;
+                            }
+
+                            copyToTempFile(sourceFileHash, retryCount + 1, callback);
+                        });
+                    });
+                });
+            };
+
+            // 复制文件时会保留文件的权限和时间戳，当使用选项 syncMetadata 时，
+            // 还需要设置临时文件的所有者。
+            let updateTempFileOwner = (callback) => {
+                if (!syncMetadata) {
+                    callback();
+                    return;
+                }
+
+                FolderSync._updateOwner(sourceFilePath, tempFilePath, callback);
+            };
+
+            copyToTempFile(sourceFileHash, 0, (err, sourceFileHash) => {
+                if (err) {
+                    removeTempFileOnError(err);
+                    return;
+                }
+
+                updateTempFileOwner((err) => {
+                    if (err) {
+                        removeTempFileOnError(err);
+                        return;
+                    }
+
+                    backupDestFile((err) => {
+                        if (err) {
+                            removeTempFileOnError(err);
+                            return;
+                        }
+
+                        fse.rename(tempFilePath, destFilePath, (err) => {
+                            if (err) {
+                                removeTempFileOnError(err);
+                                return;
+                            }
+
+                            fse.stat(destFilePath, (err, stats) => {
+                                if (err) {
+                                    callback(err);
+                                    return;
+                                }
+
+                                addCopyResult(isExists, stats.size);
+
+                                if (verify) {
+                                    syncContext.syncResult.addVerify(internal_file_path);
+                                }
+
+                                FolderSync._emit(syncContext, 'file-copied', {
+                                    path: internal_file_path,
+                                    size: stats.size,
+                                    isOverwrite: isExists,
+                                    bytesWritten: stats.size
+                                });
+
+                                updateManifest(sourceFileHash, callback);
+                            });
+                        });
+                    });
+                });
+            });
+        };
+
+        // 从上一个快照链接文件，跟复制文件一样，先创建临时文件，然后再重命名为目标文件
+        let processLinkFile = (linkDestFilePath, sourceStats, sourceFileHash) => {
+            let addLinkResult = () => {
+                syncContext.syncResult.addLink(internal_file_path);
+                FolderSync._emit(syncContext, 'file-linked', {
+                    path: internal_file_path
+                });
+            };
+
+            if (dryRun) {
+                addLinkResult();
+                callback();
+                return;
+            }
+
+            let tempFilePath = FolderSync._getTempFilePath(destFilePath);
+
+            // 写时复制的文件不会保留时间戳，所以需要另外设置
+            let createTempFile = (linkMode === LinkMode.hardlink) ?
+                (callback) => { fse.link(linkDestFilePath, tempFilePath, callback); } :
+                (callback) => {
+                    fs.copyFile(linkDestFilePath, tempFilePath, fs.constants.COPYFILE_FICLONE, (err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        fse.utimes(tempFilePath, sourceStats.atime, sourceStats.mtime, callback);
+                    });
+                };
+
+            createTempFile((err) => {
+                if (err) {
+                    fse.remove(tempFilePath, () => {
+                        callback(err);
+                    });
+                    return;
+                }
+
+                fse.rename(tempFilePath, destFilePath, (err) => {
+                    if (err) {
+                        fse.remove(tempFilePath, () => {
+                            callback(err);
+                        });
+                        return;
+                    }
+
+                    addLinkResult();
+                    updateManifest(sourceFileHash, callback);
+                });
+            });
+        };
+
+        // 目标文件不存在时，如果上一个快照里同一相对路径的文件跟源文件一致，
+        // 则从上一个快照链接该文件，否则从源文件复制。
+        //
+        // 硬链接跟上一个快照里的文件共享元数据，所以当使用选项 syncMetadata 时，
+        // 元数据也必须一致。
+        let processLinkOrCopyFile = () => {
+            if (linkDest === undefined) {
+                processCopyOrOverwriteFile(false);
+                return;
+            }
+
+            let linkDestFilePath = path.join(path.resolve(linkDest), internal_file_path);
+
+            fse.stat(linkDestFilePath, (err, linkDestStats) => {
+                if (err && err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+                    callback(err);
+                    return;
+                }
+
+                if (err || !linkDestStats.isFile()) {
+                    processCopyOrOverwriteFile(false);
+                    return;
+                }
+
+                FolderSync._compareFile(sourceFilePath, linkDestFilePath, compareStrategy, syncContext.rateLimiter, (err, isIdentical, sourceFileHash) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    if (!isIdentical) {
+                        processCopyOrOverwriteFile(false, sourceFileHash);
+                        return;
+                    }
+
+                    fse.stat(sourceFilePath, (err, sourceStats) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        // 硬链接跟上一个快照里的文件共享元数据，所以跟 rsync 的 --link-dest 一样，
+                        // 只有权限和修改时间（使用选项 syncMetadata 时还有所有者）也一致时才链接
+                        if (linkMode === LinkMode.hardlink) {
+                            let { isModeChanged, isTimeChanged, isOwnerChanged } =
+                                FolderSync._compareMetadata(sourceStats, linkDestStats);
+
+                            if (isModeChanged || isTimeChanged || (syncMetadata && isOwnerChanged)) {
+                                processCopyOrOverwriteFile(false, sourceFileHash);
+                                return;
+                            }
+                        }
+
+                        processLinkFile(linkDestFilePath, sourceStats, sourceFileHash);
+                    });
+                });
+            });
+        };
+
+        // 当使用选项 syncMetadata 时，更新内容一致的目标文件的元数据
+        let updateIdenticalFileMetadata = (callback) => {
+            if (!syncMetadata) {
+                callback();
+                return;
+            }
+
+            FolderSync._updateMetadata(sourceFilePath, destFilePath, syncContext, (err, isUpdated) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                if (isUpdated) {
+                    FolderSync._addMetadataUpdate(syncContext, 'file', internal_file_path);
+                }
+
+                callback();
+            });
+        };
+
+        // 模拟同步时，目标位置有可能是一个将会被删除的同名文件夹，或者上层目标文件夹
+        // 是一个将会被删除的同名文件（此时错误为 ENOTDIR），这些情况都视为目标文件不存在。
+        let checkDestFileExists = (callback) => {
+            if (!dryRun) {
+                FileUtils.exists(destFilePath, callback);
+                return;
+            }
+
+            fse.stat(destFilePath, (err, stats) => {
+                if (err) {
+                    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+                        callback(undefined, false);
+                    } else {
+                        callback(err);
+                    }
+                    return;
+                }
+
+                callback(undefined, stats.isFile());
+            });
+        };
+
+        // 比较已存在的目标文件，回调返回 (err, isIdentical, sourceFileHash)
+        //
+        // 如果上一次同步的清单里有该文件的记录，且源文件和目标文件的大小以及
+        // 修改时间都跟记录一致，则不需要再计算散列值。
+        //
+        // 同样地，如果本次同步之前已经比较过该文件（仅当使用选项 detectMoves 时），
+        // 且之后源文件和目标文件都没有改变，则直接使用之前的比较结果。
+        let compareFile = (callback) => {
+            let fileRecord = (syncContext.manifest === undefined) ?
+                undefined : syncContext.manifest.getRecord(internal_file_path);
+
+            let { comparedFileMap } = syncContext;
+
+            if (fileRecord === undefined && comparedFileMap === undefined) {
+                FolderSync._compareFile(sourceFilePath, destFilePath, compareStrategy, syncContext.rateLimiter, callback);
+                return;
+            }
+
+            let getStatsRecord = (stats) => {
+                return {
+                    size: stats.size,
+                    mtime: stats.mtime.getTime()
+                };
+            };
+
+            let compareAndRecord = (sourceStats, destStats) => {
+                FolderSync._compareFile(sourceFilePath, destFilePath, compareStrategy, syncContext.rateLimiter, (err, isIdentical, sourceFileHash) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    if (comparedFileMap !== undefined) {
+                        comparedFileMap.set(internal_file_path, {
+                            source: getStatsRecord(sourceStats),
+                            dest: getStatsRecord(destStats),
+                            isIdentical: isIdentical,
+                            sourceFileHash: sourceFileHash
+                        });
+                    }
+
+                    callback(undefined, isIdentical, sourceFileHash);
+                });
+            };
+
+            fse.stat(sourceFilePath, (err, sourceStats) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                fse.stat(destFilePath, (err, destStats) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    if (fileRecord !== undefined) {
+                        if (!SyncManifest.isMatch(fileRecord, destStats)) {
+                            // 目标文件在上一次同步之后被修改过
+                            syncContext.syncResult.addModifiedInDest(internal_file_path);
+                            FolderSync._emit(syncContext, 'dest-file-modified', {
+                                path: internal_file_path
+                            });
+
+                        } else if (SyncManifest.isMatch(fileRecord, sourceStats)) {
+                            // 源文件和目标文件都没有改变
+                            callback(undefined, true, fileRecord.hash);
+                            return;
+                        }
+                    }
+
+                    let comparedFile = (comparedFileMap === undefined) ?
+                        undefined : comparedFileMap.get(internal_file_path);
+
+                    if (comparedFile !== undefined &&
+                        SyncManifest.isMatch(comparedFile.source, sourceStats) &&
+                        SyncManifest.isMatch(comparedFile.dest, destStats)) {
+                        callback(undefined, comparedFile.isIdentical, comparedFile.sourceFileHash);
+                        return;
+                    }
+
+                    compareAndRecord(sourceStats, destStats);
+                });
+            });
+        };
+
+        // 检测目标文件是否存在
+        checkDestFileExists((err, isExists) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (!isExists) {
+                // 目标文件不存在
+                FolderSync._emit(syncContext, 'file-compared', {
+                    path: internal_file_path,
+                    isIdentical: false
+                });
+
+                processLinkOrCopyFile();
+                return;
+            }
+
+            compareFile((err, isIdentical, sourceFileHash) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                FolderSync._emit(syncContext, 'file-compared', {
+                    path: internal_file_path,
+                    isIdentical: isIdentical
+                });
+
+                if (isIdentical) {
+                    // 文件内容一致，不需要更新文件
+                    syncContext.syncResult.addIdentical(internal_file_path);
+
+                    // 更新元数据会改变目标文件的修改时间，所以需要在更新清单之前进行
+                    updateIdenticalFileMetadata((err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        updateManifest(sourceFileHash, callback);
+                    });
+                    return;
+                }
+
+                processCopyOrOverwriteFile(true, sourceFileHash);
+            });
+        });
+    }
+
+    /**
+     * 按块增量更新目标文件
+     *
+     * 逐块（大小为 blockSize）比较源文件和目标文件的 SHA-256 散列值，只改写内容不同的块，
+     * 然后把目标文件截断（或者扩展）至源文件的大小，并设置目标文件的权限和时间戳跟源文件
+     * 的一致。
+     *
+     * 跟完整复制不同，目标文件是被直接改写的，如果更新中断，目标文件的内容会不完整。
+     * 改写会使目标文件的修改时间变为当前时间，而内容保存到磁盘（fsync）之后才设置
+     * 跟源文件一致的时间戳，所以中断的更新在下一次同步时（包括使用清单或者按大小和
+     * 修改时间比较时）会被视为不一致的文件而再次更新。
+     *
+     * 如果目标文件有多个硬链接（比如使用选项 linkDest 创建的快照里的文件），则不会更新，
+     * 因为改写会同时改变其他链接（比如旧的快照）的内容，此时应该改为完整复制。
+     *
+     * @param {*} sourceFilePath
+     * @param {*} destFilePath
+     * @param {*} blockSize 块的大小，单位为字节
+     * @param {*} rateLimiter 读取文件时使用的 RateLimiter 对象，可以为 undefined
+     * @param {*} callback 回调返回 (err, isUpdated, bytesWritten)，isUpdated 表示是否
+     *     更新了目标文件（目标文件有多个硬链接时为 false），bytesWritten 为实际写入的字节数
+     */
+    static _deltaUpdateFile(sourceFilePath, destFilePath, blockSize, rateLimiter, callback) {
+        let getBlockHash = (buffer) => {
+            return crypto.createHash('sha256').update(buffer).digest('hex');
+        };
+
+        fse.stat(sourceFilePath, (err, sourceStats) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            fs.open(sourceFilePath, 'r', (err, sourceFd) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                fs.open(destFilePath, 'r+', (err, destFd) => {
+                    if (err) {
+                        fs.close(sourceFd, () => {
+                            callback(err);
+                        });
+                        return;
+                    }
+
+                    let sourceBuffer = Buffer.alloc(blockSize);
+                    let destBuffer = Buffer.alloc(blockSize);
+                    let bytesWritten = 0;
+
+                    let closeFiles = (err) => {
+                        fs.close(destFd, (closeErr) => {
+                            fs.close(sourceFd, () => {
+                                if (err || closeErr) {
+                                    callback(err || closeErr);
+                                    return;
+                                }
+
+                                callback(undefined, true, bytesWritten);
+                            });
+                        });
+                    };
+
+                    // 写入一个块，fs.write 有可能只写入了部分内容
+                    let writeBlock = (buffer, position, callback) => {
+                        fs.write(destFd, buffer, 0, buffer.length, position, (err, written) => {
+                            if (err) {
+                                callback(err);
+                                return;
+                            }
+
+                            bytesWritten += written;
+
+                            if (written < buffer.length) {
+                                writeBlock(buffer.subarray(written), position + written, callback);
+                                return;
+                            }
+
+                            callback();
+                        });
+                    };
+
+                    let finishUpdate = () => {
+                        fs.ftruncate(destFd, sourceStats.size, (err) => {
+                            if (err) {
+                                closeFiles(err);
+                                return;
+                            }
+
+                            fs.fchmod(destFd, sourceStats.mode & PERMISSION_MODE_MASK, (err) => {
+                                if (err) {
+                                    closeFiles(err);
+                                    return;
+                                }
+
+                                // 改写期间目标文件的修改时间为当前时间，所以中断的更新能在下一次同步时
+                                // 被发现。只有写入的内容都保存到磁盘之后，才把修改时间设置为跟源文件
+                                // 的一致，以免系统崩溃之后时间戳已更新但内容不完整。
+                                fs.fsync(destFd, (err) => {
+                                    if (err) {
+                                        closeFiles(err);
+                                        return;
+                                    }
+
+                                    fs.futimes(destFd, sourceStats.atime, sourceStats.mtime, closeFiles);
+                                });
+                            });
+                        });
+                    };
+
+                    let updateBlock = (position) => {
+                        if (position >= sourceStats.size) {
+                            finishUpdate();
+                            return;
+                        }
+
+                        let length = Math.min(blockSize, sourceStats.size - position);
+
+                        if (rateLimiter === undefined) {
+                            readBlocks(position, length);
+                            return;
+                        }
+
+                        // 需要分别读取源文件和目标文件的块
+                        rateLimiter.consume(length * 2, () => {
+                            readBlocks(position, length);
+                        });
+                    };
+
+                    let readBlocks = (position, length) => {
+                        fs.read(sourceFd, sourceBuffer, 0, length, position, (err, sourceBytesRead) => {
+                            if (err) {
+                                closeFiles(err);
+                                return;
+                            }
+
+                            fs.read(destFd, destBuffer, 0, length, position, (err, destBytesRead) => {
+                                if (err) {
+                                    closeFiles(err);
+                                    return;
+                                }
+
+                                let sourceBlock = sourceBuffer.subarray(0, sourceBytesRead);
+                                let destBlock = destBuffer.subarray(0, destBytesRead);
+
+                                if (sourceBytesRead === destBytesRead &&
+                                    getBlockHash(sourceBlock) === getBlockHash(destBlock)) {
+                                    updateBlock(position + length);
+                                    return;
+                                }
+
+                                writeBlock(sourceBlock, position, (err) => {
+                                    if (err) {
+                                        closeFiles(err);
+                                        return;
+                                    }
+
+                                    updateBlock(position + length);
+                                });
+                            });
+                        });
+                    };
+
+                    fs.fstat(destFd, (err, destStats) => {
+                        if (err) {
+                            closeFiles(err);
+                            return;
+                        }
+
+                        if (destStats.nlink > 1) {
+                            fs.close(destFd, () => {
+                                fs.close(sourceFd, () => {
+                                    callback(undefined, false);
+                                });
+                            });
+                            return;
+                        }
+
+                        updateBlock(0);
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * 计算文件的 SHA-256 散列值
+     *
+     * 没有 rateLimiter 时使用 FileUtils.hashFile，否则按 rateLimiter 的速率读取文件，
+     * 两者返回的散列值格式一致（十六进制字符串）。即使 rateLimiter 当前不限制速率也
+     * 逐块读取，因为速率可能在读取期间被调整。
+     *
+     * @param {*} filePath
+     * @param {*} rateLimiter RateLimiter 对象，可以为 undefined
+     * @param {*} callback 回调返回 (err, hash)
+     */
+    static _hashFile(filePath, rateLimiter, callback) {
+        if (rateLimiter === undefined) {
+            FileUtils.hashFile(filePath, HashAlgorithm.sha256, callback);
+            return;
+        }
+
+        let hash = crypto.createHash('sha256');
+
+        stream.pipeline(
+            fs.createReadStream(filePath, { highWaterMark: rateLimiter.getChunkSize() }),
+            rateLimiter.createStream(),
+            hash,
+            (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                callback(undefined, hash.digest('hex'));
+            });
+    }
+
+    /**
+     * 复制文件
+     *
+     * 没有 rateLimiter 时使用 fse.copy，否则按 rateLimiter 的速率（即使当前不限制速率，
+     * 理由同 _hashFile 方法）复制文件内容，然后按照 copyOptions 设置目标文件的权限和
+     * 时间戳，效果跟 fse.copy 一致。
+     *
+     * @param {*} sourceFilePath
+     * @param {*} destFilePath
+     * @param {*} copyOptions fse.copy 的选项对象，
+     *     即 {preserveTimestamps, dereference}
+     * @param {*} rateLimiter RateLimiter 对象，可以为 undefined
+     * @param {*} callback 回调返回 (err)
+     */
+    static _copyFile(sourceFilePath, destFilePath, copyOptions, rateLimiter, callback) {
+        if (rateLimiter === undefined) {
+            // https://github.com/jprichardson/node-fs-extra/blob/master/docs/copy.md
+            fse.copy(sourceFilePath, destFilePath, copyOptions, callback);
+            return;
+        }
+
+        // 只有使用选项 dereference 时源文件才有可能是符号链接，此时 stat 返回的是链接目标的信息
+        fse.stat(sourceFilePath, (err, sourceStats) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            stream.pipeline(
+                fs.createReadStream(sourceFilePath, { highWaterMark: rateLimiter.getChunkSize() }),
+                rateLimiter.createStream(),
+                fs.createWriteStream(destFilePath),
+                (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    fse.chmod(destFilePath, sourceStats.mode & PERMISSION_MODE_MASK, (err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        if (!copyOptions.preserveTimestamps) {
+                            callback();
+                            return;
+                        }
+
+                        fse.utimes(destFilePath, sourceStats.atime, sourceStats.mtime, callback);
+                    });
+                });
+        });
+    }
+
+    /**
+     * 获取复制文件时使用的临时文件路径
+     *
+     * 临时文件跟目标文件位于同一个文件夹，以保证重命名操作是原子的，名称包含一个随机的
+     * 部分，比如目标文件 '/dest/foo.txt' 的临时文件为 '/dest/.foo.txt.1a2b3c4d.jsfoldersync-tmp'
+     *
+     * @param {*} destFilePath
+     * @returns 临时文件路径
+     */
+    static _getTempFilePath(destFilePath) {
+        let randomPart = crypto.randomBytes(TEMP_FILE_RANDOM_BYTES).toString('hex');
+
+        return path.join(path.dirname(destFilePath),
+            '.' + path.basename(destFilePath) + '.' + randomPart + FolderSync.tempFileSuffix);
+    }
+
+    /**
+     * 判断文件名称是否为 _getTempFilePath 方法生成的临时文件名称
+     *
+     * 只是以 tempFileSuffix 结尾的名称不算，以免误删用户自己的文件。
+     *
+     * @param {*} fileName
+     * @returns boolean
+     */
+    static _isTempFileName(fileName) {
+        let escapedSuffix = FolderSync.tempFileSuffix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        let pattern = new RegExp(`^\\..+\\.[0-9a-f]{${TEMP_FILE_RANDOM_BYTES * 2}}${escapedSuffix}$`);
+
+        return pattern.test(fileName);
+    }
+
+    /**
+     * 在目标文件夹里创建或者更新符号链接（仅当选项 symlinks 为 SymlinkPolicy.preserve 时）
+     *
+     * @param {*} destFolderPath
+     * @param {*} linkInfos 源文件夹里的链接，LinkInfo 对象数组
+     * @param {*} syncContext
+     * @param {*} internal_folder_path
+     * @param {*} callback 回调返回 (err)
+     */
+    static _updateLinks(destFolderPath, linkInfos, syncContext, internal_folder_path, callback) {
+        FolderSync._forEach(syncContext, linkInfos, (linkInfo, callback) => {
+            let destFilePath = path.join(destFolderPath, linkInfo.fileName);
+            let internal_file_path = path.join(internal_folder_path, linkInfo.fileName);
+
+            FolderSync._updateLink(linkInfo.target, destFilePath, syncContext, internal_file_path,
+                FolderSync._handleEntryError(syncContext, internal_file_path, callback));
+        }, callback);
+    }
+
+    /**
+     * 在目标文件夹里创建或者更新一个符号链接
+     *
+     * 如果目标链接已存在且内容一致，则不需要更新；否则跟复制文件一样，
+     * 先创建临时链接，然后再重命名为目标链接。
+     *
+     * @param {*} target 链接的内容
+     * @param {*} destFilePath
+     * @param {*} syncContext
+     * @param {*} internal_file_path
+     * @param {*} callback 回调返回 (err)
+     */
+    static _updateLink(target, destFilePath, syncContext, internal_file_path, callback) {
+        let { dryRun } = syncContext.options;
+
+        // 回调返回 (err, isExists, isIdentical)
+        //
+        // 跟源链接同名但类型不同的目标内容已经在之前被删除（模拟同步时
+        // 则是将会被删除，包括上层目标文件夹），所以视为目标链接不存在。
+        let checkDestLink = (callback) => {
+            fse.lstat(destFilePath, (err, stats) => {
+                if (err) {
+                    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+                        callback(undefined, false, false);
+                    } else {
+                        callback(err);
+                    }
+                    return;
+                }
+
+                if (!stats.isSymbolicLink()) {
+                    callback(undefined, false, false);
+                    return;
+                }
+
+                fse.readlink(destFilePath, (err, destTarget) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    callback(undefined, true, destTarget === target);
+                });
+            });
+        };
+
+        let addLinkResult = (isExists) => {
+            if (isExists) {
+                syncContext.syncResult.addOverwrite(internal_file_path, 0, 'link');
+            } else {
+                syncContext.syncResult.addCreate('link', internal_file_path, 0);
+            }
+        };
+
+        checkDestLink((err, isExists, isIdentical) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (isIdentical) {
+                syncContext.syncResult.addIdentical(internal_file_path, 'link');
+                callback();
+                return;
+            }
+
+            if (dryRun) {
+                addLinkResult(isExists);
+                callback();
+                return;
+            }
+
+            let tempFilePath = FolderSync._getTempFilePath(destFilePath);
+
+            let backupDestLink = (callback) => {
+                if (!isExists || (syncContext.backupFolderPath === undefined &&
+                    syncContext.options.backupSuffix === undefined)) {
+                    callback();
+                    return;
+                }
+
+                FolderSync._backupDestEntry(destFilePath, syncContext, internal_file_path, 'link', callback);
+            };
+
+            fse.symlink(target, tempFilePath, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                backupDestLink((err) => {
+                    if (err) {
+                        fse.remove(tempFilePath, () => {
+                            callback(err);
+                        });
+                        return;
+                    }
+
+                    fse.rename(tempFilePath, destFilePath, (err) => {
+                        if (err) {
+                            fse.remove(tempFilePath, () => {
+                                callback(err);
+                            });
+                            return;
+                        }
+
+                        addLinkResult(isExists);
+                        callback();
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * 比较两个已存在的文件是否一致
+     *
+     * @param {*} sourceFilePath
+     * @param {*} destFilePath
+     * @param {*} compareStrategy CompareStrategy 当中的一个值
+     * @param {*} rateLimiter 计算散列值时使用的 RateLimiter 对象
+     * @param {*} callback 回调返回 (err, isIdentical, sourceFileHash)，
+     *     如果比较的过程中没有计算散列值，则 sourceFileHash 为 undefined
+     */
+    static _compareFile(sourceFilePath, destFilePath, compareStrategy, rateLimiter, callback) {
+        let compareHash = () => {
+            // 计算源文件的散列值
+            FolderSync._hashFile(sourceFilePath, rateLimiter, (err, sourceFileHash) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                // 计算目标文件的散列值
+                FolderSync._hashFile(destFilePath, rateLimiter, (err, destFileHash) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    callback(undefined, sourceFileHash === destFileHash, sourceFileHash);
+                });
+            });
+        };
+
+        if (compareStrategy === CompareStrategy.hash) {
+            compareHash();
+            return;
+        }
+
+        fse.stat(sourceFilePath, (err, sourceStats) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            fse.stat(destFilePath, (err, destStats) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                if (sourceStats.size !== destStats.size) {
+                    callback(undefined, false);
+                    return;
+                }
+
+                if (compareStrategy === CompareStrategy.sizeMtime) {
+                    // 复制文件时时间戳只保留到毫秒，所以只比较到毫秒
+                    callback(undefined,
+                        sourceStats.mtime.getTime() === destStats.mtime.getTime());
+                    return;
+                }
+
+                compareHash();
+            });
         });
     }
 }
 
+// 文件权限（包括 setuid、setgid 以及 sticky 位）的掩码
+const PERMISSION_MODE_MASK = 0o7777;
+
+// 本进程最近一次使用的时间名称，同一毫秒内的多次同步据此加上不同的计数后缀
+const lastTimestampName = {
+    baseName: undefined,
+    count: 0
+};
+
+// 临时文件名称里随机部分的字节数，名称里为其两倍长度的十六进制字符串
+const TEMP_FILE_RANDOM_BYTES = 4;
+
+// 复制文件时使用的临时文件的名称后缀，名称格式请见 _getTempFilePath 方法。
+// 源文件夹和目标文件夹里符合该格式的文件不参与同步（源文件夹里的会被记录为忽略的内容），
+// 目标文件夹里的这些文件会在同步时被删除。
+FolderSync.tempFileSuffix = '.jsfoldersync-tmp';
+
 module.exports = FolderSync;
\ No newline at end of file
@@ -0,0 +1,133 @@
+const path = require('path');
+
+const minimatch = require('minimatch');
+
+/**
+ * 忽略文件（比如 .syncignore、.gitignore）的规则列表
+ *
+ * 忽略文件的格式跟 gitignore 一致：
+ *
+ * - 空行不起作用，以 "#" 开头的行为注释，如果模式需要以 "#" 开头，则写成 "\#"；
+ * - 以 "!" 开头表示否定，即重新包含之前被忽略的内容，如果模式需要以 "!" 开头，
+ *   则写成 "\!"；如果内容的上一层文件夹已经被忽略，则无法重新包含；
+ * - 以 "/" 结尾的模式只匹配文件夹；
+ * - 开头或者中间带有 "/" 的模式表示相对于忽略文件所在文件夹的路径，否则
+ *   匹配忽略文件所在文件夹以及其下任意一层里的名称；
+ * - 后面的规则优先于前面的规则，子文件夹里的忽略文件优先于上层文件夹里的。
+ *
+ * 格式请参考：
+ * https://git-scm.com/docs/gitignore
+ */
+class IgnoreRules {
+
+    /**
+     *
+     * @param {*} rules 规则列表，每一项的格式为
+     *     {pattern, isNegative, isFolderOnly, isAnchored, basePath}
+     */
+    constructor(rules = []) {
+        this.rules = rules;
+    }
+
+    /**
+     * 解析忽略文件的内容，返回一个新的 IgnoreRules 对象，其规则列表为
+     * 当前的规则加上新解析得到的规则。
+     *
+     * @param {*} content 忽略文件的内容
+     * @param {*} basePath 忽略文件所在的文件夹的相对路径，比如 '/'、'/foo'
+     * @returns IgnoreRules
+     */
+    concat(content, basePath) {
+        let rules = [];
+
+        for (let line of content.split(/\r?\n/)) {
+            let rule = IgnoreRules._parseLine(line, basePath);
+            if (rule !== undefined) {
+                rules.push(rule);
+            }
+        }
+
+        return new IgnoreRules(this.rules.concat(rules));
+    }
+
+    /**
+     * 判断指定的文件或文件夹是否被忽略
+     *
+     * @param {*} filePath 文件或文件夹的相对路径，比如 '/foo/bar.txt'
+     * @param {*} isFolder
+     * @returns boolean
+     */
+    isIgnored(filePath, isFolder) {
+        // 从后往前检查，最后一条匹配的规则起作用
+        for (let idx = this.rules.length - 1; idx >= 0; idx--) {
+            let rule = this.rules[idx];
+
+            if (rule.isFolderOnly && !isFolder) {
+                continue;
+            }
+
+            let relativePath = path.posix.relative(rule.basePath, filePath);
+
+            // 忽略文件只作用于它所在的文件夹之下的内容
+            if (relativePath === '' || relativePath === '..' ||
+                relativePath.startsWith('../')) {
+                continue;
+            }
+
+            // 因为同步是从第 1 层文件夹开始逐层进行的，被忽略的文件夹之下的
+            // 内容不会被检查，所以不带 "/" 的模式只需匹配名称即可。
+            let target = rule.isAnchored ? relativePath : path.posix.basename(filePath);
+
+            if (minimatch(target, rule.pattern, { dot: true })) {
+                return !rule.isNegative;
+            }
+        }
+
+        return false;
+    }
+
+    static _parseLine(line, basePath) {
+        // 删除行尾的空格，除非空格被转义
+        let text = line.replace(/(^|[^\\])\s+$/, '$1');
+
+        if (text === '' || text.startsWith('#')) {
+            return;
+        }
+
+        let isNegative = false;
+
+        if (text.startsWith('!')) {
+            isNegative = true;
+            text = text.substring(1);
+        } else if (text.startsWith('\\#') || text.startsWith('\\!')) {
+            text = text.substring(1);
+        }
+
+        let isFolderOnly = false;
+
+        if (text.endsWith('/')) {
+            isFolderOnly = true;
+            text = text.substring(0, text.length - 1);
+        }
+
+        let isAnchored = text.includes('/');
+
+        if (text.startsWith('/')) {
+            text = text.substring(1);
+        }
+
+        if (text === '') {
+            return;
+        }
+
+        return {
+            pattern: text,
+            isNegative: isNegative,
+            isFolderOnly: isFolderOnly,
+            isAnchored: isAnchored,
+            basePath: basePath
+        };
+    }
+}
+
+module.exports = IgnoreRules;
\ No newline at end of file
@@ -0,0 +1,21 @@
+/**
+ * 符号链接的信息
+ *
+ * 当选项 symlinks 为 SymlinkPolicy.preserve 时，源文件夹和目标文件夹里的
+ * 符号链接以该对象表示，而不是 FileUtils.list 方法返回的（链接目标的）
+ * FileInfo 或者 FolderInfo 对象。
+ */
+class LinkInfo {
+
+    /**
+     *
+     * @param {*} fileName 链接的名称
+     * @param {*} target 链接的内容，即 fs.readlink 的结果
+     */
+    constructor(fileName, target) {
+        this.fileName = fileName;
+        this.target = target;
+    }
+}
+
+module.exports = LinkInfo;
@@ -0,0 +1,16 @@
+/**
+ * 使用选项 linkDest 时，从上一个快照得到内容一致的目标文件的方式
+ *
+ * - hardlink: 创建指向上一个快照里的文件的硬链接，默认方式；硬链接跟上一个快照里的
+ *   文件共享内容以及元数据，所以两者必须位于同一个文件系统。只有权限和修改时间（当使用
+ *   选项 syncMetadata 时还有所有者）也一致的文件才会被链接，否则仍然复制。
+ * - reflink: 使用写时复制（copy-on-write）的方式复制上一个快照里的文件，即
+ *   fs.copyFile 的 COPYFILE_FICLONE 模式，两个文件共享存储空间，但元数据各自独立；
+ *   如果文件系统不支持（比如 ext4），则自动退回为普通的复制。
+ */
+const LinkMode = {
+    hardlink: 'hardlink',
+    reflink: 'reflink'
+};
+
+module.exports = LinkMode;
@@ -1,14 +1,108 @@
 const FolderSync = require('./foldersync');
+const TwoWayFolderSync = require('./twowayfoldersync');
+const SyncJobs = require('./syncjobs');
+const SnapshotSync = require('./snapshotsync');
 
+/**
+ * FolderSync 的 Promise 版本
+ *
+ * 参数跟 FolderSync 对应的方法一致（除了没有 callback 参数），
+ * 同样支持使用选项对象代替 deleteExtraneous 和 ignoreFileGlobs 参数。
+ */
 class PromiseFolderSync {
     static sync(sourceFolderPath, destDirectory, deleteExtraneous, ignoreFileGlobs) {
         return new Promise((resolve, reject) => {
             FolderSync.sync(sourceFolderPath, destDirectory,
-                deleteExtraneous, ignoreFileGlobs, (err) => {
+                deleteExtraneous, ignoreFileGlobs, (err, syncReport) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve();
+                    resolve(syncReport);
+                }
+            });
+        });
+    }
+
+    static dryRun(sourceFolderPath, destDirectory, deleteExtraneous, ignoreFileGlobs) {
+        return new Promise((resolve, reject) => {
+            FolderSync.dryRun(sourceFolderPath, destDirectory,
+                deleteExtraneous, ignoreFileGlobs, (err, syncPlan) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(syncPlan);
+                }
+            });
+        });
+    }
+
+    static compare(sourceFolderPath, destFolderPath, options) {
+        return new Promise((resolve, reject) => {
+            FolderSync.compare(sourceFolderPath, destFolderPath, options, (err, compareResult) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(compareResult);
+                }
+            });
+        });
+    }
+
+    static snapshot(sourceFolderPath, snapshotsFolderPath, options) {
+        return new Promise((resolve, reject) => {
+            SnapshotSync.create(sourceFolderPath, snapshotsFolderPath, options, (err, snapshotResult) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(snapshotResult);
+                }
+            });
+        });
+    }
+
+    static restoreBackup(backupFolderPath, destFolderPath) {
+        return new Promise((resolve, reject) => {
+            FolderSync.restoreBackup(backupFolderPath, destFolderPath, (err, restoredPaths) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(restoredPaths);
+                }
+            });
+        });
+    }
+
+    static restoreSuffixBackup(destFolderPath, backupSuffix) {
+        return new Promise((resolve, reject) => {
+            FolderSync.restoreSuffixBackup(destFolderPath, backupSuffix, (err, restoredPaths) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(restoredPaths);
+                }
+            });
+        });
+    }
+
+    static twoWaySync(sourceFolderPath, destFolderPath, options) {
+        return new Promise((resolve, reject) => {
+            TwoWayFolderSync.sync(sourceFolderPath, destFolderPath, options, (err, twoWaySyncReport) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(twoWaySyncReport);
+                }
+            });
+        });
+    }
+
+    static runJobs(configFilePath, jobNames, overrideOptions) {
+        return new Promise((resolve, reject) => {
+            SyncJobs.runFile(configFilePath, jobNames, overrideOptions || {}, (err, jobResults) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(jobResults);
                 }
             });
         });
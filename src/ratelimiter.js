@@ -0,0 +1,134 @@
+const { Transform } = require('stream');
+
+/**
+ * 限制读写文件的速率（每秒字节数）
+ *
+ * 同一个 RateLimiter 对象里的所有数据流共享同一个速率，比如同时复制多个文件
+ * （选项 concurrency 大于 1）时，所有文件的复制速率之和不超过限制。
+ *
+ * 同步期间可以调用 setRate 方法调整速率，新的速率从下一个数据块开始生效。
+ * 一开始不限制速率的 RateLimiter 对象（即 new RateLimiter()）也可以在之后才设置速率。
+ */
+class RateLimiter {
+
+    /**
+     *
+     * @param {*} bytesPerSecond 每秒最多读写的字节数，为正整数，
+     *     为 undefined 或者 null 时不限制速率
+     */
+    constructor(bytesPerSecond) {
+        this.bytesPerSecond = undefined;
+
+        // 下一个数据块可以开始读写的时间（毫秒）
+        this.nextTime = 0;
+
+        this.setRate(bytesPerSecond);
+    }
+
+    /**
+     * 设置速率
+     *
+     * @param {*} bytesPerSecond 每秒最多读写的字节数，为正整数，
+     *     为 undefined 或者 null 时不限制速率。无效的值会抛出 TypeError。
+     */
+    setRate(bytesPerSecond) {
+        if (bytesPerSecond === null) {
+            bytesPerSecond = undefined;
+        }
+
+        if (bytesPerSecond !== undefined &&
+            !(Number.isInteger(bytesPerSecond) && bytesPerSecond > 0)) {
+            throw new TypeError('Rate limit should be a positive integer.');
+        }
+
+        this.bytesPerSecond = bytesPerSecond;
+
+        // 之前按旧的速率累计的等待时间不再有效
+        this.nextTime = Math.min(this.nextTime, Date.now());
+    }
+
+    /**
+     * 是否有限制速率
+     *
+     * @returns boolean
+     */
+    isLimited() {
+        return this.bytesPerSecond !== undefined;
+    }
+
+    /**
+     * 获取读取文件时每一个数据块的大小
+     *
+     * 速率较低时使用较小的数据块，使得读写比较平稳，并且调整速率之后能较快生效。
+     *
+     * @returns 字节数
+     */
+    getChunkSize() {
+        if (!this.isLimited()) {
+            return MAX_CHUNK_SIZE;
+        }
+
+        // 大约为 0.1 秒的数据量
+        return Math.min(MAX_CHUNK_SIZE,
+            Math.max(MIN_CHUNK_SIZE, Math.floor(this.bytesPerSecond / 10)));
+    }
+
+    /**
+     * 申请读写指定数量的字节
+     *
+     * 数量较大时按 getChunkSize 的大小分多次申请，所以期间调整的速率也能较快生效。
+     *
+     * @param {*} bytes
+     * @param {*} callback 当可以开始读写时回调 ()
+     */
+    consume(bytes, callback) {
+        let chunkSize = this.getChunkSize();
+
+        if (bytes <= chunkSize) {
+            this._consumeChunk(bytes, callback);
+            return;
+        }
+
+        this._consumeChunk(chunkSize, () => {
+            this.consume(bytes - chunkSize, callback);
+        });
+    }
+
+    _consumeChunk(bytes, callback) {
+        if (!this.isLimited()) {
+            process.nextTick(callback);
+            return;
+        }
+
+        let now = Date.now();
+        let startTime = Math.max(now, this.nextTime);
+        this.nextTime = startTime + bytes * 1000 / this.bytesPerSecond;
+
+        if (startTime <= now) {
+            process.nextTick(callback);
+            return;
+        }
+
+        setTimeout(callback, startTime - now);
+    }
+
+    /**
+     * 创建一个按本对象的速率传递数据的 Transform 流
+     *
+     * @returns Transform
+     */
+    createStream() {
+        return new Transform({
+            transform: (chunk, encoding, callback) => {
+                this.consume(chunk.length, () => {
+                    callback(undefined, chunk);
+                });
+            }
+        });
+    }
+}
+
+const MIN_CHUNK_SIZE = 1024;
+const MAX_CHUNK_SIZE = 64 * 1024;
+
+module.exports = RateLimiter;
@@ -0,0 +1,197 @@
+const path = require('path');
+
+const fse = require('fs-extra');
+
+const FolderSync = require('./foldersync');
+const SyncOptions = require('./syncoptions');
+const TaskLimiter = require('./tasklimiter');
+
+/**
+ * 快照同步
+ *
+ * 类似 rsync 的 --link-dest 参数的备份方式：每次同步到快照文件夹里一个以同步开始时间
+ * 命名的新文件夹（比如 '2021-06-19T10-20-30-123Z'），并使用选项 linkDest 从最新的
+ * 快照链接内容一致的文件，所以每一个快照都是完整的，但只有改变了的文件才占用新的存储空间。
+ * 同一毫秒内创建的多个快照会加上计数后缀，比如 '2021-06-19T10-20-30-123Z-2'。
+ *
+ * 同步期间新的快照文件夹的名称带有后缀 '.partial'，同步成功之后才重命名，所以同步失败
+ * 不会产生不完整的快照；遗留的未完成快照会在下一次创建快照时被删除。
+ */
+class SnapshotSync {
+
+    /**
+     * 创建下一个快照，然后按照选项 keep 删除旧的快照
+     *
+     * @param {*} sourceFolderPath
+     * @param {*} snapshotsFolderPath 存放快照的文件夹，如果不存在则会被创建
+     * @param {*} options 可选的选项对象，选项的说明请见 SyncOptions 以及
+     *     SyncOptions.normalizeSnapshot 方法
+     * @param {*} callback 回调返回 (err, {snapshotFolderPath, syncResult, prunedFolderPaths})，
+     *     snapshotFolderPath 为新的快照文件夹路径，syncResult 为 SyncReport 对象（当选项
+     *     dryRun 为 true 时为 SyncPlan 对象，且不会创建或者删除任何快照），prunedFolderPaths
+     *     为被删除的旧快照文件夹路径数组。无效的选项会导致回调返回 TypeError。
+     */
+    static create(sourceFolderPath, snapshotsFolderPath, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = undefined;
+        }
+
+        let syncOptions;
+
+        try {
+            syncOptions = SyncOptions.normalizeSnapshot(options);
+        } catch (err) {
+            callback(err);
+            return;
+        }
+
+        let { keep, dryRun } = syncOptions;
+        delete syncOptions.keep;
+
+        snapshotsFolderPath = path.resolve(snapshotsFolderPath);
+
+        let snapshotName = FolderSync._getTimestampName(snapshotsFolderPath, ['', PARTIAL_SUFFIX]);
+        let snapshotFolderPath = path.join(snapshotsFolderPath, snapshotName);
+        let partialFolderPath = snapshotFolderPath + PARTIAL_SUFFIX;
+
+        let processPrune = (snapshotFolderPaths, syncResult) => {
+            let prunedFolderPaths = (keep === undefined || snapshotFolderPaths.length <= keep) ?
+                [] :
+                snapshotFolderPaths.slice(0, snapshotFolderPaths.length - keep);
+
+            let removeFolder = dryRun ?
+                (folderPath, callback) => { callback(); } :
+                fse.remove;
+
+            TaskLimiter.forEach(prunedFolderPaths, 1, (folderPath, callback) => {
+                removeFolder(folderPath, callback);
+            }, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                callback(undefined, {
+                    snapshotFolderPath: snapshotFolderPath,
+                    syncResult: syncResult,
+                    prunedFolderPaths: prunedFolderPaths
+                });
+            });
+        };
+
+        let processSync = (previousSnapshotFolderPaths) => {
+            let latestSnapshotFolderPath = previousSnapshotFolderPaths[previousSnapshotFolderPaths.length - 1];
+            syncOptions.linkDest = latestSnapshotFolderPath;
+
+            let syncContext = FolderSync._createSyncContext(syncOptions);
+
+            FolderSync._sync(sourceFolderPath, partialFolderPath, syncContext, (err, syncResult) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                let allSnapshotFolderPaths = [...previousSnapshotFolderPaths, snapshotFolderPath];
+
+                if (dryRun) {
+                    processPrune(allSnapshotFolderPaths, syncResult);
+                    return;
+                }
+
+                fse.rename(partialFolderPath, snapshotFolderPath, (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    processPrune(allSnapshotFolderPaths, syncResult);
+                });
+            });
+        };
+
+        SnapshotSync._listNames(snapshotsFolderPath, (err, names) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            let partialNames = names.filter(name => name.endsWith(PARTIAL_SUFFIX));
+            let previousSnapshotFolderPaths = names.filter(name => !name.endsWith(PARTIAL_SUFFIX))
+                .map(name => path.join(snapshotsFolderPath, name));
+
+            if (dryRun) {
+                processSync(previousSnapshotFolderPaths);
+                return;
+            }
+
+            TaskLimiter.forEach(partialNames, 1, (name, callback) => {
+                fse.remove(path.join(snapshotsFolderPath, name), callback);
+            }, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                processSync(previousSnapshotFolderPaths);
+            });
+        });
+    }
+
+    /**
+     * 列出已有的快照
+     *
+     * @param {*} snapshotsFolderPath
+     * @param {*} callback 回调返回 (err, snapshotFolderPaths)，按时间从旧到新排列，
+     *     不包括未完成的快照。如果快照文件夹不存在，则返回空数组。
+     */
+    static list(snapshotsFolderPath, callback) {
+        snapshotsFolderPath = path.resolve(snapshotsFolderPath);
+
+        SnapshotSync._listNames(snapshotsFolderPath, (err, names) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(undefined, names
+                .filter(name => !name.endsWith(PARTIAL_SUFFIX))
+                .map(name => path.join(snapshotsFolderPath, name)));
+        });
+    }
+
+    /**
+     * 列出快照文件夹里的快照（包括未完成的快照）名称，按名称（即时间）排序
+     *
+     * 名称不符合快照命名格式的内容会被忽略。
+     *
+     * @param {*} snapshotsFolderPath
+     * @param {*} callback 回调返回 (err, names)
+     */
+    static _listNames(snapshotsFolderPath, callback) {
+        fse.readdir(snapshotsFolderPath, { withFileTypes: true }, (err, dirents) => {
+            if (err) {
+                if (err.code === 'ENOENT') {
+                    callback(undefined, []);
+                } else {
+                    callback(err);
+                }
+                return;
+            }
+
+            let names = dirents.filter((dirent) => {
+                return dirent.isDirectory() && SNAPSHOT_NAME_PATTERN.test(dirent.name);
+            }).map((dirent) => {
+                return dirent.name;
+            });
+
+            callback(undefined, names.sort());
+        });
+    }
+}
+
+const PARTIAL_SUFFIX = '.partial';
+
+const SNAPSHOT_NAME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(-\d+)?(\.partial)?$/;
+
+module.exports = SnapshotSync;
@@ -0,0 +1,20 @@
+/**
+ * 处理源文件夹里的符号链接的策略
+ *
+ * - follow: 跟随链接，即把链接当作其目标文件或文件夹，复制目标的内容，默认策略；
+ *   如果链接指向正在同步的上层文件夹（即形成循环），或者链接的目标不存在，
+ *   则跳过该链接。
+ * - preserve: 保留链接，即在目标文件夹里创建一个指向相同目标（链接内容原样复制，
+ *   相对路径的链接仍然是相对路径）的链接，链接的目标不会被同步；
+ * - skip: 跳过所有链接，目标文件夹里同名的内容也不会被删除。
+ *
+ * 使用 follow 和 preserve 策略时，指向源文件夹之外的链接会被记录到同步结果的
+ * externalLinks 列表，并触发 'link-external' 事件。
+ */
+const SymlinkPolicy = {
+    follow: 'follow',
+    preserve: 'preserve',
+    skip: 'skip'
+};
+
+module.exports = SymlinkPolicy;
@@ -0,0 +1,28 @@
+/**
+ * 同步错误
+ *
+ * 当选项 continueOnError 为 true 时，同步过程中个别路径的错误不会中止同步，
+ * 如果同步结束时有任何路径出错，则同步以该错误结束。
+ */
+class SyncError extends Error {
+
+    /**
+     *
+     * @param {*} failures 出错的路径列表，每一项的格式为 {path, error}，
+     *     其中 path 为相对路径，比如 '/foo/bar.txt'，error 为该路径的错误
+     * @param {*} syncResult 同步结果，SyncReport 对象或者 SyncPlan 对象（模拟同步时）
+     */
+    constructor(failures, syncResult) {
+        let details = failures.map((failure) => {
+            return `"${failure.path}" (${failure.error.message})`;
+        }).join(', ');
+
+        super(`Failed to sync ${failures.length} path(s): ${details}.`);
+
+        this.name = 'SyncError';
+        this.failures = failures;
+        this.syncResult = syncResult;
+    }
+}
+
+module.exports = SyncError;
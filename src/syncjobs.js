@@ -0,0 +1,221 @@
+const path = require('path');
+
+const fse = require('fs-extra');
+
+const FolderSync = require('./foldersync');
+const SyncOptions = require('./syncoptions');
+const TaskLimiter = require('./tasklimiter');
+
+/**
+ * 同步任务
+ *
+ * 使用配置文件描述多个具名的同步任务（源文件夹 -> 目标文件夹），然后运行
+ * 全部或者部分任务。配置文件为 JSON 格式（.json），或者导出配置对象的
+ * JavaScript 模块（.js），格式如下：
+ *
+ * {
+ *     "jobs": {
+ *         "site": {
+ *             "source": "./site",
+ *             "dest": "/var/www/site",
+ *             "deleteExtraneous": true,
+ *             "ignoreFileGlobs": ["*.log", "tmp"]
+ *         },
+ *         "docs": {
+ *             "source": "./docs",
+ *             "dest": "/var/www/docs"
+ *         }
+ *     }
+ * }
+ *
+ * - source, dest 分别为源文件夹和目标文件夹的路径，相对路径是相对于配置文件所在的文件夹；
+ * - 其余的属性均为同步选项，详细请见 SyncOptions。路径类的选项（backupFolderPath、
+ *   linkDest 以及字符串形式的 manifest）的相对路径同样是相对于配置文件所在的文件夹。
+ *
+ * 每一个任务为一个对象 {name, sourceFolderPath, destFolderPath, options}。
+ */
+class SyncJobs {
+
+    /**
+     * 读取配置文件
+     *
+     * @param {*} configFilePath
+     * @param {*} callback 回调返回 (err, jobs)，jobs 为任务对象数组。
+     *     无效的配置会导致回调返回 TypeError。
+     */
+    static load(configFilePath, callback) {
+        configFilePath = path.resolve(configFilePath);
+
+        let processParse = (config) => {
+            let jobs;
+
+            try {
+                jobs = SyncJobs.parse(config, path.dirname(configFilePath));
+            } catch (err) {
+                callback(err);
+                return;
+            }
+
+            callback(undefined, jobs);
+        };
+
+        if (path.extname(configFilePath) === '.js') {
+            let config;
+
+            try {
+                // 长时间运行的进程有可能多次读取配置文件，所以不使用 require 的缓存
+                delete require.cache[require.resolve(configFilePath)];
+                config = require(configFilePath);
+            } catch (err) {
+                callback(err);
+                return;
+            }
+
+            processParse(config);
+            return;
+        }
+
+        fse.readJson(configFilePath, (err, config) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            processParse(config);
+        });
+    }
+
+    /**
+     * 解析配置对象
+     *
+     * @param {*} config 配置对象，格式请见 SyncJobs 的说明
+     * @param {*} basePath 解析相对路径时的基准路径
+     * @returns 任务对象数组，无效的配置会抛出 TypeError
+     */
+    static parse(config, basePath) {
+        if (typeof config !== 'object' || config === null ||
+            typeof config.jobs !== 'object' || config.jobs === null ||
+            Array.isArray(config.jobs)) {
+            throw new TypeError('Sync config should have a "jobs" object.');
+        }
+
+        return Object.entries(config.jobs).map(([name, jobConfig]) => {
+            if (typeof jobConfig !== 'object' || jobConfig === null) {
+                throw new TypeError(`Sync job "${name}" should be an object.`);
+            }
+
+            let { source, dest, ...options } = jobConfig;
+
+            if (typeof source !== 'string' || typeof dest !== 'string') {
+                throw new TypeError(`Sync job "${name}" should have "source" and "dest" strings.`);
+            }
+
+            // 尽早检查选项，而不是等到运行该任务时才报错
+            try {
+                SyncOptions.normalize(options);
+            } catch (err) {
+                throw new TypeError(`Sync job "${name}": ${err.message}`);
+            }
+
+            for (let optionName of PATH_OPTION_NAMES) {
+                if (typeof options[optionName] === 'string') {
+                    options[optionName] = path.resolve(basePath, options[optionName]);
+                }
+            }
+
+            return {
+                name: name,
+                sourceFolderPath: path.resolve(basePath, source),
+                destFolderPath: path.resolve(basePath, dest),
+                options: options
+            };
+        });
+    }
+
+    /**
+     * 逐个运行同步任务
+     *
+     * 一个任务出错不会影响其余的任务，错误记录在该任务的结果里。
+     *
+     * @param {*} jobs 任务对象数组
+     * @param {*} jobNames 需要运行的任务的名称数组，为 undefined 或者空数组时运行全部任务
+     * @param {*} overrideOptions 可选的选项对象，会覆盖每一个任务的同名选项，比如 {dryRun: true}
+     * @param {*} callback 回调返回 (err, jobResults)，jobResults 为数组，每一项的格式为
+     *     {name, syncResult, error}，syncResult 为 SyncReport 对象（模拟同步时为 SyncPlan
+     *     对象），任务出错时 syncResult 为 undefined，error 为 Error 对象。
+     *     如果 jobNames 里有不存在的任务名称，则回调返回 TypeError。
+     */
+    static run(jobs, jobNames, overrideOptions, callback) {
+        if (typeof overrideOptions === 'function') {
+            callback = overrideOptions;
+            overrideOptions = {};
+        }
+
+        let selectedJobs = jobs;
+
+        if (jobNames !== undefined && jobNames.length > 0) {
+            let unknownName = jobNames.find((jobName) => {
+                return !jobs.some(job => job.name === jobName);
+            });
+
+            if (unknownName !== undefined) {
+                callback(new TypeError(`Unknown sync job "${unknownName}".`));
+                return;
+            }
+
+            selectedJobs = jobs.filter(job => jobNames.includes(job.name));
+        }
+
+        let jobResults = [];
+
+        TaskLimiter.forEach(selectedJobs, 1, (job, callback) => {
+            let options = Object.assign({}, job.options, overrideOptions);
+
+            FolderSync.sync(job.sourceFolderPath, job.destFolderPath, options, (err, syncResult) => {
+                jobResults.push({
+                    name: job.name,
+                    syncResult: syncResult,
+                    error: err
+                });
+
+                callback();
+            });
+        }, (err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(undefined, jobResults);
+        });
+    }
+
+    /**
+     * 读取配置文件并运行同步任务
+     *
+     * @param {*} configFilePath
+     * @param {*} jobNames
+     * @param {*} overrideOptions
+     * @param {*} callback 回调返回 (err, jobResults)，详细请见 run 方法
+     */
+    static runFile(configFilePath, jobNames, overrideOptions, callback) {
+        if (typeof overrideOptions === 'function') {
+            callback = overrideOptions;
+            overrideOptions = {};
+        }
+
+        SyncJobs.load(configFilePath, (err, jobs) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            SyncJobs.run(jobs, jobNames, overrideOptions, callback);
+        });
+    }
+}
+
+// 值为路径的同步选项，解析配置时跟 source 和 dest 一样相对于配置文件所在的文件夹
+const PATH_OPTION_NAMES = ['backupFolderPath', 'linkDest', 'manifest'];
+
+module.exports = SyncJobs;
@@ -0,0 +1,114 @@
+const fse = require('fs-extra');
+
+/**
+ * 同步清单
+ *
+ * 记录上一次同步之后目标文件夹里每一个文件的状态，用于增量同步：
+ *
+ * - 如果源文件和目标文件的大小以及修改时间都跟清单的记录一致，则认为
+ *   文件没有改变，不需要再计算散列值；
+ * - 如果目标文件的大小或者修改时间跟清单的记录不一致，说明目标文件在
+ *   同步之外被修改过。
+ *
+ * 清单文件为 JSON 格式：
+ *
+ * {
+ *     "version": 1,
+ *     "files": {
+ *         "/foo/bar.txt": {"size": 123, "mtime": 1623456789000, "hash": "..."}
+ *     }
+ * }
+ *
+ * 其中 mtime 为毫秒数，hash 为文件内容的 SHA-256 散列值。
+ */
+class SyncManifest {
+    constructor(files = {}) {
+        this.files = files;
+    }
+
+    /**
+     * 获取文件的记录
+     *
+     * @param {*} path 文件的相对路径，比如 '/foo/bar.txt'
+     * @returns {size, mtime, hash}，如果不存在则返回 undefined
+     */
+    getRecord(path) {
+        return this.files[path];
+    }
+
+    /**
+     *
+     * @param {*} path 文件的相对路径
+     * @param {*} stats 文件的 fs.Stats 对象
+     * @param {*} hash
+     */
+    setRecord(path, stats, hash) {
+        this.files[path] = {
+            size: stats.size,
+            mtime: stats.mtime.getTime(),
+            hash: hash
+        };
+    }
+
+    /**
+     * 判断文件的大小和修改时间是否跟记录一致
+     *
+     * @param {*} record
+     * @param {*} stats 文件的 fs.Stats 对象
+     * @returns boolean
+     */
+    static isMatch(record, stats) {
+        return record.size === stats.size &&
+            record.mtime === stats.mtime.getTime();
+    }
+
+    /**
+     * 读取清单文件
+     *
+     * @param {*} filePath
+     * @param {*} callback 回调返回 (err, syncManifest)，如果清单文件不存在，
+     *     则返回一个空的清单。
+     */
+    static load(filePath, callback) {
+        fse.readJson(filePath, (err, data) => {
+            if (err) {
+                if (err.code === 'ENOENT') {
+                    callback(undefined, new SyncManifest());
+                } else {
+                    callback(err);
+                }
+                return;
+            }
+
+            if (data.version !== MANIFEST_VERSION ||
+                typeof data.files !== 'object' || data.files === null) {
+                callback(new Error(`Invalid sync manifest file "${filePath}".`));
+                return;
+            }
+
+            callback(undefined, new SyncManifest(data.files));
+        });
+    }
+
+    /**
+     * 保存清单文件
+     *
+     * @param {*} filePath
+     * @param {*} callback 回调返回 (err)
+     */
+    save(filePath, callback) {
+        let data = {
+            version: MANIFEST_VERSION,
+            files: this.files
+        };
+
+        fse.outputJson(filePath, data, callback);
+    }
+}
+
+const MANIFEST_VERSION = 1;
+
+// 当选项 manifest 为 true 时，清单文件保存在目标文件夹里的文件名称
+SyncManifest.defaultFileName = '.jsfoldersync-manifest.json';
+
+module.exports = SyncManifest;
\ No newline at end of file
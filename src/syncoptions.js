@@ -0,0 +1,486 @@
+const CompareStrategy = require('./comparestrategy');
+const SymlinkPolicy = require('./symlinkpolicy');
+const ConflictResolution = require('./conflictresolution');
+const LinkMode = require('./linkmode');
+const RateLimiter = require('./ratelimiter');
+
+/**
+ * 同步选项
+ *
+ * FolderSync.sync 等方法除了使用位置参数：
+ *
+ *     sync(sourceFolderPath, destFolderPath, deleteExtraneous, ignoreFileGlobs, callback)
+ *
+ * 也可以使用选项对象：
+ *
+ *     sync(sourceFolderPath, destFolderPath, options, callback)
+ *
+ * 选项对象支持如下属性，所有属性都是可选的：
+ *
+ * - deleteExtraneous: boolean，是否删除目标文件夹里比源文件夹多出来的内容，默认为 false
+ * - ignoreFileGlobs: 字符串数组，忽略部分源文件的模式列表，格式请见 FolderSync.sync 方法的说明
+ * - protectFileGlobs: 字符串数组，保护模式列表，目标文件夹里匹配中任一模式的内容不会被删除，
+ *   即使 deleteExtraneous 为 true，也不会因为跟源文件类型不同而被替换（此时同名的源文件
+ *   不会被同步）。用于保护只存在于目标文件夹的内容，比如上传的文件、'.env'、日志等。
+ *   模式的格式跟 ignoreFileGlobs 一致，是相对于目标文件夹的路径，默认为空列表。
+ * - includeFileGlobs: 字符串数组，包含模式列表，当列表不为空时，只同步匹配中任一模式的文件，
+ *   以及到达这些文件所需的文件夹，不含有匹配文件的文件夹不会在目标文件夹里创建。
+ *   模式为相对于源文件夹的路径，不带 "/" 的模式匹配任意一层里的文件名称，比如
+ *   ['*.html', 'assets/**\/*.css']（注：因为此段文字在注释之内，所以第二个斜线写成了反斜线）。
+ *   不匹配的文件视为被忽略，默认为空列表。
+ * - ignoreFileName: 字符串，忽略文件的名称，比如 '.syncignore'、'.gitignore'，
+ *   源文件夹以及其子文件夹里的同名文件会被当作 gitignore 格式的忽略规则，
+ *   格式请见 IgnoreRules。默认不使用忽略文件。
+ * - dryRun: boolean，是否仅模拟同步，默认为 false，为 true 时返回 SyncPlan 对象
+ * - compareStrategy: 字符串，判断源文件与目标文件是否一致的策略，
+ *   值为 CompareStrategy 当中的一个，默认为 CompareStrategy.hash
+ * - concurrency: 正整数，同时处理（比较、复制）的文件以及子文件夹的最大数量，默认为 1，
+ *   即逐个处理。
+ * - manifest: boolean 或者字符串，是否使用同步清单（详细请见 SyncManifest）进行增量同步，
+ *   为 true 时清单文件保存在目标文件夹里，为字符串时表示清单文件的路径，默认为 false。
+ * - backupFolderPath: 字符串，备份文件夹的路径。设置之后，被删除以及被覆盖的目标内容会
+ *   移动到该文件夹里以同步开始时间命名的子文件夹（比如 '2021-06-19T10-20-30-123Z'），
+ *   并保持其相对路径，可以使用 FolderSync.restoreBackup 方法恢复。默认不备份。
+ * - backupSuffix: 字符串，备份后缀。设置之后，被删除以及被覆盖的目标内容会在原位置
+ *   重命名为 “原名称 + 后缀”（类似 rsync 的 --backup 参数），以该后缀结尾的目标内容
+ *   不会因为 deleteExtraneous 而被删除，可以使用 FolderSync.restoreSuffixBackup 方法恢复。
+ *   不能跟 backupFolderPath 同时使用。
+ *   使用这两个选项时，被覆盖的文件以硬链接（不支持时则复制）的方式备份，覆盖期间
+ *   目标文件一直存在。
+ * - symlinks: 字符串，处理源文件夹里的符号链接的策略，值为 SymlinkPolicy 当中的一个，
+ *   默认为 SymlinkPolicy.follow
+ * - syncMetadata: boolean，是否同步元数据，即使源文件和目标文件的内容一致，也会更新目标文件
+ *   以及目标文件夹的权限（mode）、时间戳，以及所有者（uid 和 gid，仅当以 root 身份运行时）。
+ *   只更新了元数据的内容会记录到同步结果的 metadataUpdated（或者 metadataUpdates）列表。
+ *   默认为 false。
+ * - verify: boolean，是否在复制文件之后校验目标文件，即重新计算目标文件的散列值，
+ *   并跟源文件的散列值比较，如果不一致则重新复制，重试之后仍然不一致则同步以
+ *   VerifyError 结束。默认为 false。
+ * - verifyRetries: 非负整数，校验不一致时重新复制的最大次数，默认为 2。
+ * - detectMoves: boolean，是否检测源文件夹里被移动（或者重命名）的文件。为 true 时，
+ *   将要新建的目标文件如果跟将要被删除的目标文件（在同步根文件夹之内的任意位置）的
+ *   大小以及 SHA-256 散列值一致，则直接把后者移动到新位置，而不是删除之后再重新复制。
+ *   检测需要先模拟同步一次，模拟同步时的比较结果会在之后的同步中沿用，所以没有改变的
+ *   文件不会被重复计算散列值。适用于有大文件被移动的情况。默认为 false。
+ * - linkDest: 字符串，上一个快照（即之前同步得到的目标文件夹）的路径，类似 rsync 的
+ *   --link-dest 参数。设置之后，目标文件夹里不存在的文件如果跟上一个快照里同一相对路径的
+ *   文件内容一致（按照选项 compareStrategy 比较），则从上一个快照链接该文件，而不是
+ *   从源文件复制。默认不使用。
+ * - linkMode: 字符串，从上一个快照链接文件的方式，值为 LinkMode 当中的一个，
+ *   默认为 LinkMode.hardlink
+ * - deltaUpdate: boolean，是否按块增量更新内容不一致的已存在目标文件，即只改写内容不同的块，
+ *   适用于在慢速磁盘上同步大文件（比如虚拟机镜像、数据库文件）的情况。注意这是以原子性
+ *   换取更少的读写：增量更新会直接改写目标文件而不是使用临时文件再重命名，所以同步中断时
+ *   （包括系统崩溃）目标文件的内容会不完整，同步期间读取目标文件也可能得到新旧混合的内容。
+ *   中断的更新会在下一次同步时被发现并重新更新。需要备份目标文件时（选项 backupFolderPath
+ *   或者 backupSuffix）仍然完整复制。默认为 false。
+ * - deltaBlockSize: 正整数，增量更新时块的大小，单位为字节，默认为 1048576（1 MiB）
+ * - rateLimit: 正整数或者 RateLimiter 对象，复制文件以及计算文件散列值时每秒最多读写的字节数，
+ *   用于避免同步占满磁盘（或者网络文件系统）的带宽。如果需要在同步期间调整速率（包括一开始
+ *   不限制速率），则传入 RateLimiter 对象，然后调用它的 setRate 方法。默认为 undefined，
+ *   即不限制速率。
+ * - continueOnError: boolean，当个别文件或者文件夹同步出错时（比如源文件不可读），
+ *   是否继续同步其余的内容。为 true 时出错的路径会记录到同步结果的 failed（或者
+ *   failures）列表，并触发 'entry-failed' 事件，同步结束时如果有任何路径出错，
+ *   则以 SyncError 结束；第 1 层文件夹的错误以及清单文件的错误仍然会中止同步。
+ *   默认为 false，即第一个错误就中止同步。
+ * - hooks: 对象，事件名称与监听函数的映射，比如：
+ *   {'file-copied': ({path, size}) => {...}}
+ *   事件的说明请见 EventFolderSync
+ *
+ * 未知的选项或者类型错误的选项值会导致 TypeError。
+ */
+class SyncOptions {
+
+    /**
+     * 检查选项对象，并返回一个补全了默认值的新选项对象
+     *
+     * @param {*} options
+     * @returns 选项对象
+     */
+    static normalize(options) {
+        options = SyncOptions._checkTypes(options, OptionTypes);
+
+        if (options.hooks !== undefined && options.hooks !== null) {
+            for (let [eventName, listener] of Object.entries(options.hooks)) {
+                if (!SyncEventNames.includes(eventName)) {
+                    throw new TypeError(`Unknown sync hook "${eventName}".`);
+                }
+
+                if (typeof listener !== 'function') {
+                    throw new TypeError(`Sync hook "${eventName}" should be a function.`);
+                }
+            }
+        }
+
+        if (options.backupSuffix === '') {
+            throw new TypeError('Sync option "backupSuffix" should not be empty.');
+        }
+
+        if (options.backupFolderPath !== undefined && options.backupFolderPath !== null &&
+            options.backupSuffix !== undefined && options.backupSuffix !== null) {
+            throw new TypeError('Sync options "backupFolderPath" and "backupSuffix" can not be used together.');
+        }
+
+        return SyncOptions._fillDefaults(options, DefaultOptions);
+    }
+
+    /**
+     * 检查双向同步（TwoWayFolderSync）的选项对象，并返回一个补全了默认值的新选项对象
+     *
+     * 双向同步支持如下选项，所有属性都是可选的：
+     *
+     * - ignoreFileGlobs: 字符串数组，忽略模式列表，两边的文件夹里匹配中的内容都不会被同步，
+     *   格式跟单向同步的一致，默认为空列表。
+     * - conflictResolution: 字符串，两边都改变了同一个文件时的处理方式，值为
+     *   ConflictResolution 当中的一个，默认为 ConflictResolution.newer
+     * - conflictSuffix: 字符串，当 conflictResolution 为 ConflictResolution.keepBoth 时，
+     *   目标文件夹一边的版本另存为的文件名称后缀，后缀插入在扩展名之前，比如 'foo.txt'
+     *   另存为 'foo.conflict.txt'（如果该名称已经存在，则为 'foo.conflict-2.txt' 等），
+     *   默认为 '.conflict'
+     * - stateFilePath: 字符串，同步状态文件（详细请见 SyncState）的路径，默认保存在源文件夹里
+     * - dryRun: boolean，是否仅模拟同步，默认为 false
+     *
+     * @param {*} options
+     * @returns 选项对象
+     */
+    static normalizeTwoWay(options) {
+        options = SyncOptions._checkTypes(options, TwoWayOptionTypes);
+
+        if (options.conflictSuffix === '') {
+            throw new TypeError('Sync option "conflictSuffix" should not be empty.');
+        }
+
+        return SyncOptions._fillDefaults(options, TwoWayDefaultOptions);
+    }
+
+    /**
+     * 检查监视模式（WatchFolderSync）的选项对象，并返回一个补全了默认值的新选项对象
+     *
+     * 除了单向同步的全部选项，还支持如下选项：
+     *
+     * - debounce: 非负整数，源文件夹最后一次改变之后，等待多少毫秒再开始同步，
+     *   以便把短时间内的多次改变合并为一次同步，默认为 200
+     *
+     * @param {*} options
+     * @returns 选项对象
+     */
+    static normalizeWatch(options) {
+        let { debounce, ...syncOptions } = SyncOptions._checkTypes(options, WatchOptionTypes);
+
+        return Object.assign(SyncOptions.normalize(syncOptions),
+            SyncOptions._fillDefaults({ debounce }, WatchDefaultOptions));
+    }
+
+    /**
+     * 检查快照（SnapshotSync）的选项对象，并返回一个补全了默认值的新选项对象
+     *
+     * 除了单向同步的选项（linkDest 除外，它总是为上一个快照），还支持如下选项：
+     *
+     * - keep: 正整数，创建快照之后最多保留的快照数量（包括新的快照），更早的快照会被删除，
+     *   默认保留全部快照
+     *
+     * @param {*} options
+     * @returns 选项对象
+     */
+    static normalizeSnapshot(options) {
+        let { keep, ...syncOptions } = SyncOptions._checkTypes(options, SnapshotOptionTypes);
+
+        if (syncOptions.linkDest !== undefined && syncOptions.linkDest !== null) {
+            throw new TypeError('Sync option "linkDest" can not be used with snapshots.');
+        }
+
+        return Object.assign(SyncOptions.normalize(syncOptions),
+            SyncOptions._fillDefaults({ keep }, SnapshotDefaultOptions));
+    }
+
+    /**
+     * 检查比较（FolderSync.compare）的选项对象，并返回一个补全了默认值的新选项对象
+     *
+     * 比较只支持影响遍历以及比较方式的选项，即 ignoreFileGlobs、includeFileGlobs、
+     * ignoreFileName、compareStrategy、concurrency、symlinks 和 rateLimit，说明跟同步的选项一致。
+     * 返回的选项对象为一个 dryRun 以及 deleteExtraneous 都为 true 的同步选项对象。
+     *
+     * @param {*} options
+     * @returns 选项对象
+     */
+    static normalizeCompare(options) {
+        options = SyncOptions._checkTypes(options, CompareOptionTypes);
+
+        return SyncOptions.normalize(Object.assign({}, options, {
+            dryRun: true,
+            deleteExtraneous: true
+        }));
+    }
+
+    /**
+     * 从 sync 方法的参数当中获取选项对象和回调函数
+     *
+     * 支持以下几种形式：
+     * - (deleteExtraneous, ignoreFileGlobs, callback)
+     * - (deleteExtraneous, callback)
+     * - (options, callback)
+     * - (callback)
+     *
+     * @param {*} deleteExtraneousOrOptions
+     * @param {*} ignoreFileGlobsOrCallback
+     * @param {*} callback
+     * @returns {syncOptions, callback}，当选项无效时返回 {err, callback}
+     */
+    static fromArguments(deleteExtraneousOrOptions, ignoreFileGlobsOrCallback, callback) {
+        let options;
+
+        if (typeof deleteExtraneousOrOptions === 'function') {
+            options = {};
+            callback = deleteExtraneousOrOptions;
+
+        } else if (typeof deleteExtraneousOrOptions === 'object' &&
+            deleteExtraneousOrOptions !== null) {
+            options = deleteExtraneousOrOptions;
+
+            if (typeof ignoreFileGlobsOrCallback === 'function') {
+                callback = ignoreFileGlobsOrCallback;
+            }
+
+        } else if (typeof ignoreFileGlobsOrCallback === 'function') {
+            options = {
+                deleteExtraneous: Boolean(deleteExtraneousOrOptions)
+            };
+            callback = ignoreFileGlobsOrCallback;
+
+        } else {
+            options = {
+                deleteExtraneous: Boolean(deleteExtraneousOrOptions),
+                ignoreFileGlobs: ignoreFileGlobsOrCallback
+            };
+        }
+
+        try {
+            return {
+                syncOptions: SyncOptions.normalize(options),
+                callback: callback
+            };
+        } catch (err) {
+            return {
+                err: err,
+                callback: callback
+            };
+        }
+    }
+
+    /**
+     * 检查选项对象里的每一个选项的名称和类型
+     *
+     * @param {*} options
+     * @param {*} optionTypes 选项名称与类型的映射
+     * @returns 选项对象，当 options 为 undefined 或者 null 时返回空对象
+     */
+    static _checkTypes(options, optionTypes) {
+        if (options === undefined || options === null) {
+            options = {};
+        }
+
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            throw new TypeError('Sync options should be an object.');
+        }
+
+        for (let name of Object.keys(options)) {
+            let optionType = optionTypes[name];
+
+            if (optionType === undefined) {
+                throw new TypeError(`Unknown sync option "${name}".`);
+            }
+
+            let value = options[name];
+            if (value === undefined || value === null) {
+                continue;
+            }
+
+            if (!SyncOptions._isType(value, optionType)) {
+                throw new TypeError(`Sync option "${name}" should be ${SyncOptions._getTypeDescription(optionType)}.`);
+            }
+        }
+
+        return options;
+    }
+
+    static _fillDefaults(options, defaultOptions) {
+        let syncOptions = {};
+
+        for (let name of Object.keys(defaultOptions)) {
+            syncOptions[name] = (options[name] === undefined || options[name] === null) ?
+                defaultOptions[name] : options[name];
+        }
+
+        return syncOptions;
+    }
+
+    static _isType(value, optionType) {
+        switch (optionType) {
+            case 'string':
+                return typeof value === 'string';
+
+            case 'boolean':
+                return typeof value === 'boolean';
+
+            case 'string[]':
+                return Array.isArray(value) &&
+                    value.every(item => typeof item === 'string');
+
+            case 'object':
+                return typeof value === 'object' && value !== null &&
+                    !Array.isArray(value);
+
+            case 'positive integer':
+                return Number.isInteger(value) && value > 0;
+
+            case 'non-negative integer':
+                return Number.isInteger(value) && value >= 0;
+
+            case 'boolean or string':
+                return typeof value === 'boolean' || typeof value === 'string';
+
+            case 'positive integer or RateLimiter':
+                return (Number.isInteger(value) && value > 0) || value instanceof RateLimiter;
+        }
+
+        // 选项类型为一个数组时，表示选项值必须是数组当中的一个
+        if (Array.isArray(optionType)) {
+            return optionType.includes(value);
+        }
+
+        return false;
+    }
+
+    static _getTypeDescription(optionType) {
+        if (Array.isArray(optionType)) {
+            return 'one of ' + optionType.map(item => `"${item}"`).join(', ');
+        }
+
+        return OptionTypeDescriptions[optionType];
+    }
+}
+
+const OptionTypes = {
+    deleteExtraneous: 'boolean',
+    ignoreFileGlobs: 'string[]',
+    includeFileGlobs: 'string[]',
+    protectFileGlobs: 'string[]',
+    ignoreFileName: 'string',
+    dryRun: 'boolean',
+    compareStrategy: Object.values(CompareStrategy),
+    concurrency: 'positive integer',
+    manifest: 'boolean or string',
+    backupFolderPath: 'string',
+    backupSuffix: 'string',
+    symlinks: Object.values(SymlinkPolicy),
+    syncMetadata: 'boolean',
+    verify: 'boolean',
+    verifyRetries: 'non-negative integer',
+    detectMoves: 'boolean',
+    linkDest: 'string',
+    linkMode: Object.values(LinkMode),
+    deltaUpdate: 'boolean',
+    deltaBlockSize: 'positive integer',
+    rateLimit: 'positive integer or RateLimiter',
+    continueOnError: 'boolean',
+    hooks: 'object'
+};
+
+const OptionTypeDescriptions = {
+    'string': 'a string',
+    'boolean': 'a boolean',
+    'string[]': 'an array of strings',
+    'object': 'an object',
+    'positive integer': 'a positive integer',
+    'non-negative integer': 'a non-negative integer',
+    'boolean or string': 'a boolean or a string',
+    'positive integer or RateLimiter': 'a positive integer or a RateLimiter'
+};
+
+const DefaultOptions = {
+    deleteExtraneous: false,
+    ignoreFileGlobs: [],
+    includeFileGlobs: [],
+    protectFileGlobs: [],
+    ignoreFileName: undefined,
+    dryRun: false,
+    compareStrategy: CompareStrategy.hash,
+    concurrency: 1,
+    manifest: false,
+    backupFolderPath: undefined,
+    backupSuffix: undefined,
+    symlinks: SymlinkPolicy.follow,
+    syncMetadata: false,
+    verify: false,
+    verifyRetries: 2,
+    detectMoves: false,
+    linkDest: undefined,
+    linkMode: LinkMode.hardlink,
+    deltaUpdate: false,
+    deltaBlockSize: 1048576,
+    rateLimit: undefined,
+    continueOnError: false,
+    hooks: {}
+};
+
+const WatchOptionTypes = Object.assign({
+    debounce: 'non-negative integer'
+}, OptionTypes);
+
+const WatchDefaultOptions = {
+    debounce: 200
+};
+
+const SnapshotOptionTypes = Object.assign({
+    keep: 'positive integer'
+}, OptionTypes);
+
+const SnapshotDefaultOptions = {
+    keep: undefined
+};
+
+const CompareOptionTypes = {
+    ignoreFileGlobs: OptionTypes.ignoreFileGlobs,
+    includeFileGlobs: OptionTypes.includeFileGlobs,
+    ignoreFileName: OptionTypes.ignoreFileName,
+    compareStrategy: OptionTypes.compareStrategy,
+    concurrency: OptionTypes.concurrency,
+    symlinks: OptionTypes.symlinks,
+    rateLimit: OptionTypes.rateLimit
+};
+
+const TwoWayOptionTypes = {
+    ignoreFileGlobs: 'string[]',
+    conflictResolution: Object.values(ConflictResolution),
+    conflictSuffix: 'string',
+    stateFilePath: 'string',
+    dryRun: 'boolean'
+};
+
+const TwoWayDefaultOptions = {
+    ignoreFileGlobs: [],
+    conflictResolution: ConflictResolution.newer,
+    conflictSuffix: '.conflict',
+    stateFilePath: undefined,
+    dryRun: false
+};
+
+// 同步过程中触发的事件的名称，事件的说明请见 EventFolderSync
+const SyncEventNames = [
+    'folder-entered',
+    'file-compared',
+    'file-copied',
+    'file-deleted',
+    'entry-ignored',
+    'dest-file-modified',
+    'entry-protected',
+    'link-skipped',
+    'link-external',
+    'metadata-updated',
+    'file-moved',
+    'file-linked',
+    'entry-failed'
+];
+
+module.exports = SyncOptions;
\ No newline at end of file
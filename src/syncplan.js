@@ -0,0 +1,128 @@
+/**
+ * 同步计划
+ *
+ * 由 FolderSync.dryRun 方法返回，列出一次同步**将会**执行的操作，
+ * 但不会对目标文件夹作任何改变。
+ *
+ * 每一个项目的格式为 {type, path}，其中：
+ * - type 为 'file'、'folder' 或者 'link'（符号链接，仅当选项 symlinks 为
+ *   SymlinkPolicy.preserve 时，或者在 skippedLinks 和 externalLinks 当中）
+ * - path 为相对于源文件夹（以及目标文件夹）的路径，以 '/' 字符开头，
+ *   比如 '/foo/bar.txt'
+ */
+class SyncPlan {
+    constructor() {
+        // 目标文件夹里将要新建的文件和文件夹
+        this.creates = [];
+
+        // 目标文件夹里将要被源文件覆盖的文件
+        this.overwrites = [];
+
+        // 目标文件夹里将要被删除的文件和文件夹
+        this.deletes = [];
+
+        // 目标文件夹里将要被移动（重命名）到新位置的文件，项目的格式为
+        // {type: 'file', path, from}，仅当使用选项 detectMoves 时。
+        // 被移动的文件不会再出现在 creates 以及 deletes 列表。
+        this.moves = [];
+
+        // 将要链接自上一个快照（即选项 linkDest）的目标文件
+        this.links = [];
+
+        // 源文件夹里将被忽略的文件和文件夹
+        this.ignores = [];
+
+        // 目标文件夹里因为匹配中保护模式而不会被删除或者替换的文件和文件夹
+        this.protects = [];
+
+        // 将被跳过的源符号链接，项目的格式为 {type: 'link', path, reason}
+        this.skippedLinks = [];
+
+        // 指向源文件夹之外的源符号链接，项目的格式为 {type: 'link', path, target}
+        this.externalLinks = [];
+
+        // 内容一致，不需要更新的文件
+        this.identicals = [];
+
+        // 内容一致，但将要更新元数据（权限、时间戳、所有者）的目标文件和文件夹，
+        // 仅当使用选项 syncMetadata 时
+        this.metadataUpdates = [];
+
+        // 上一次同步之后，在同步之外被修改过的目标文件（仅当使用同步清单时）
+        this.modifiedInDest = [];
+
+        // 模拟同步时出错的文件和文件夹，项目的格式为 {path, error}，
+        // 仅当选项 continueOnError 为 true 时
+        this.failures = [];
+    }
+
+    // 模拟同步时不会读取文件的大小，所以忽略 size 参数，
+    // 保留该参数是为了跟 SyncReport 的方法一致。
+    addCreate(type, path, size) {
+        this.creates.push({ type, path });
+    }
+
+    addOverwrite(path, size, type = 'file') {
+        this.overwrites.push({ type, path });
+    }
+
+    addDelete(type, path) {
+        this.deletes.push({ type, path });
+    }
+
+    addMove(path, from) {
+        this.moves.push({ type: 'file', path, from });
+    }
+
+    addLink(path) {
+        this.links.push({ type: 'file', path });
+    }
+
+    addIgnore(type, path) {
+        this.ignores.push({ type, path });
+    }
+
+    addProtect(type, path) {
+        this.protects.push({ type, path });
+    }
+
+    addIdentical(path, type = 'file') {
+        this.identicals.push({ type, path });
+    }
+
+    addSkippedLink(path, reason) {
+        this.skippedLinks.push({ type: 'link', path, reason });
+    }
+
+    addExternalLink(path, target) {
+        this.externalLinks.push({ type: 'link', path, target });
+    }
+
+    addModifiedInDest(path) {
+        this.modifiedInDest.push({ type: 'file', path });
+    }
+
+    addMetadataUpdate(type, path) {
+        this.metadataUpdates.push({ type, path });
+    }
+
+    addFailure(path, error) {
+        this.failures.push({ path, error });
+    }
+
+    /**
+     * 是否有任何需要改变目标文件夹的操作
+     *
+     * @returns boolean
+     */
+    hasChanges() {
+        return this.creates.length > 0 ||
+            this.overwrites.length > 0 ||
+            this.deletes.length > 0 ||
+            this.moves.length > 0 ||
+            this.links.length > 0 ||
+            this.metadataUpdates.length > 0;
+    }
+}
+
+module.exports = SyncPlan;
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * 同步结果报告
+ *
+ * 由 FolderSync.sync 方法返回，列出一次同步**已经**执行的操作以及统计数据。
+ *
+ * 每一个项目的格式为 {type, path}，其中：
+ * - type 为 'file'、'folder' 或者 'link'（符号链接，仅当选项 symlinks 为
+ *   SymlinkPolicy.preserve 时，或者在 skippedLinks 和 externalLinks 当中）
+ * - path 为相对于源文件夹（以及目标文件夹）的路径，以 '/' 字符开头，
+ *   比如 '/foo/bar.txt'
+ */
+class SyncReport {
+    constructor() {
+        // 目标文件夹里新建的文件和文件夹
+        this.created = [];
+
+        // 目标文件夹里被源文件覆盖的文件（包括增量更新的文件）
+        this.overwritten = [];
+
+        // 按块增量更新的目标文件，项目的格式为 {type: 'file', path, bytesWritten}，
+        // bytesWritten 为实际写入的字节数，仅当使用选项 deltaUpdate 时
+        this.deltaUpdated = [];
+
+        // 目标文件夹里被删除的文件和文件夹
+        this.deleted = [];
+
+        // 目标文件夹里被移动（重命名）到新位置的文件，而不是重新复制，
+        // 项目的格式为 {type: 'file', path, from}，from 为原来的相对路径，
+        // 仅当使用选项 detectMoves 时
+        this.moved = [];
+
+        // 链接自上一个快照（即选项 linkDest）里内容一致的文件，而不是从源文件复制的
+        // 目标文件，链接的方式请见 LinkMode
+        this.linked = [];
+
+        // 源文件夹里被忽略的文件和文件夹
+        this.ignored = [];
+
+        // 目标文件夹里因为匹配中保护模式而没有被删除或者替换的文件和文件夹
+        this.protected = [];
+
+        // 内容一致，没有更新的文件
+        this.unchanged = [];
+
+        // 内容没有改变，只更新了元数据（权限、时间戳、所有者）的目标文件和文件夹，
+        // 仅当使用选项 syncMetadata 时
+        this.metadataUpdated = [];
+
+        // 上一次同步之后，在同步之外被修改过的目标文件（仅当使用同步清单时）
+        this.modifiedInDest = [];
+
+        // 复制之后校验通过的文件（仅当使用选项 verify 时）
+        this.verified = [];
+
+        // 被跳过的源符号链接，项目的格式为 {type: 'link', path, reason}，
+        // reason 的说明请见 EventFolderSync 的 'link-skipped' 事件
+        this.skippedLinks = [];
+
+        // 指向源文件夹之外的源符号链接，项目的格式为 {type: 'link', path, target}
+        this.externalLinks = [];
+
+        // 被删除或者被覆盖之前备份了的目标文件和文件夹
+        this.backedUp = [];
+
+        // 本次同步的备份文件夹路径，仅当选项 backupFolderPath 被设置，且
+        // 有内容被备份时才有值
+        this.backupFolderPath = undefined;
+
+        // 同步出错的文件和文件夹，项目的格式为 {path, error}，
+        // 仅当选项 continueOnError 为 true 时
+        this.failed = [];
+
+        // 写入目标文件的总字节数，增量更新的文件只计算实际写入的字节数
+        this.bytesCopied = 0;
+
+        // 同步所用的时间，单位为毫秒
+        this.elapsedTime = 0;
+    }
+
+    addCreate(type, path, size) {
+        this.created.push({ type, path });
+
+        if (type === 'file') {
+            this.bytesCopied += size;
+        }
+    }
+
+    addOverwrite(path, size, type = 'file') {
+        this.overwritten.push({ type, path });
+
+        if (type === 'file') {
+            this.bytesCopied += size;
+        }
+    }
+
+    addDeltaUpdate(path, size, bytesWritten) {
+        this.overwritten.push({ type: 'file', path });
+        this.deltaUpdated.push({ type: 'file', path, bytesWritten });
+        this.bytesCopied += bytesWritten;
+    }
+
+    addDelete(type, path) {
+        this.deleted.push({ type, path });
+    }
+
+    addMove(path, from) {
+        this.moved.push({ type: 'file', path, from });
+    }
+
+    addLink(path) {
+        this.linked.push({ type: 'file', path });
+    }
+
+    addVerify(path) {
+        this.verified.push({ type: 'file', path });
+    }
+
+    addSkippedLink(path, reason) {
+        this.skippedLinks.push({ type: 'link', path, reason });
+    }
+
+    addExternalLink(path, target) {
+        this.externalLinks.push({ type: 'link', path, target });
+    }
+
+    addFailure(path, error) {
+        this.failed.push({ path, error });
+    }
+
+    addBackup(type, path) {
+        this.backedUp.push({ type, path });
+    }
+
+    addIgnore(type, path) {
+        this.ignored.push({ type, path });
+    }
+
+    addProtect(type, path) {
+        this.protected.push({ type, path });
+    }
+
+    addIdentical(path, type = 'file') {
+        this.unchanged.push({ type, path });
+    }
+
+    addModifiedInDest(path) {
+        this.modifiedInDest.push({ type: 'file', path });
+    }
+
+    addMetadataUpdate(type, path) {
+        this.metadataUpdated.push({ type, path });
+    }
+
+    /**
+     * 获取统计数据
+     *
+     * @returns {created, overwritten, deltaUpdated, deleted, moved, linked, ignored, protected,
+     *     unchanged, metadataUpdated, verified, backedUp, modifiedInDest, failed, bytesCopied,
+     *     elapsedTime}
+     *     前 14 项为对应的项目数量
+     */
+    getTotals() {
+        return {
+            created: this.created.length,
+            overwritten: this.overwritten.length,
+            deltaUpdated: this.deltaUpdated.length,
+            deleted: this.deleted.length,
+            moved: this.moved.length,
+            linked: this.linked.length,
+            ignored: this.ignored.length,
+            protected: this.protected.length,
+            unchanged: this.unchanged.length,
+            metadataUpdated: this.metadataUpdated.length,
+            verified: this.verified.length,
+            backedUp: this.backedUp.length,
+            modifiedInDest: this.modifiedInDest.length,
+            failed: this.failed.length,
+            bytesCopied: this.bytesCopied,
+            elapsedTime: this.elapsedTime
+        };
+    }
+
+    /**
+     * 目标文件夹是否有任何改变
+     *
+     * @returns boolean
+     */
+    hasChanges() {
+        return this.created.length > 0 ||
+            this.overwritten.length > 0 ||
+            this.deleted.length > 0 ||
+            this.moved.length > 0 ||
+            this.linked.length > 0 ||
+            this.metadataUpdated.length > 0;
+    }
+}
+
+module.exports = SyncReport;
\ No newline at end of file
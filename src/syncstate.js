@@ -0,0 +1,126 @@
+const fse = require('fs-extra');
+
+/**
+ * 双向同步的状态
+ *
+ * 记录上一次双向同步之后两边的文件夹里一致的内容，用于判断每一个文件在
+ * 哪一边被改变了：
+ *
+ * - 如果某一边的文件的散列值跟记录不一致（或者文件被删除），则说明该边
+ *   改变了该文件；
+ * - 如果某一边的文件的大小以及修改时间都跟该边的记录一致，则认为文件
+ *   没有改变，不需要再计算散列值。
+ *
+ * 状态文件为 JSON 格式：
+ *
+ * {
+ *     "version": 1,
+ *     "files": {
+ *         "/foo/bar.txt": {
+ *             "hash": "...",
+ *             "source": {"size": 123, "mtime": 1623456789000},
+ *             "dest": {"size": 123, "mtime": 1623456789000}
+ *         }
+ *     },
+ *     "folders": ["/foo"]
+ * }
+ *
+ * 其中 mtime 为毫秒数，hash 为文件内容的 SHA-256 散列值。
+ */
+class SyncState {
+    constructor(files = {}, folders = []) {
+        this.files = files;
+        this.folders = new Set(folders);
+    }
+
+    /**
+     * 获取文件的记录
+     *
+     * @param {*} path 文件的相对路径，比如 '/foo/bar.txt'
+     * @returns {hash, source, dest}，如果不存在则返回 undefined
+     */
+    getRecord(path) {
+        return this.files[path];
+    }
+
+    /**
+     *
+     * @param {*} path 文件的相对路径
+     * @param {*} hash
+     * @param {*} sourceStats 源文件的 fs.Stats 对象
+     * @param {*} destStats 目标文件的 fs.Stats 对象
+     */
+    setRecord(path, hash, sourceStats, destStats) {
+        this.files[path] = {
+            hash: hash,
+            source: {
+                size: sourceStats.size,
+                mtime: sourceStats.mtime.getTime()
+            },
+            dest: {
+                size: destStats.size,
+                mtime: destStats.mtime.getTime()
+            }
+        };
+    }
+
+    hasFolder(path) {
+        return this.folders.has(path);
+    }
+
+    addFolder(path) {
+        this.folders.add(path);
+    }
+
+    /**
+     * 读取状态文件
+     *
+     * @param {*} filePath
+     * @param {*} callback 回调返回 (err, syncState)，如果状态文件不存在，
+     *     则返回一个空的状态（即第一次同步）。
+     */
+    static load(filePath, callback) {
+        fse.readJson(filePath, (err, data) => {
+            if (err) {
+                if (err.code === 'ENOENT') {
+                    callback(undefined, new SyncState());
+                } else {
+                    callback(err);
+                }
+                return;
+            }
+
+            if (data.version !== STATE_VERSION ||
+                typeof data.files !== 'object' || data.files === null ||
+                !Array.isArray(data.folders)) {
+                callback(new Error(`Invalid sync state file "${filePath}".`));
+                return;
+            }
+
+            callback(undefined, new SyncState(data.files, data.folders));
+        });
+    }
+
+    /**
+     * 保存状态文件
+     *
+     * @param {*} filePath
+     * @param {*} callback 回调返回 (err)
+     */
+    save(filePath, callback) {
+        let data = {
+            version: STATE_VERSION,
+            files: this.files,
+            folders: Array.from(this.folders).sort()
+        };
+
+        fse.outputJson(filePath, data, callback);
+    }
+}
+
+const STATE_VERSION = 1;
+
+// 当没有设置选项 stateFilePath 时，状态文件保存在源文件夹里的文件名称
+SyncState.defaultFileName = '.jsfoldersync-state.json';
+
+module.exports = SyncState;
@@ -0,0 +1,143 @@
+/**
+ * 限制同时运行的异步任务的数量
+ *
+ * 任务是一个形如 (done) => {...} 的函数，任务完成时调用 done(err, ...)。
+ *
+ * 当调用 abort(err) 方法之后，尚未开始的任务将不再运行，而是直接以
+ * 该错误回调，之后加入的任务也一样。
+ */
+class TaskLimiter {
+
+    /**
+     *
+     * @param {*} limit 同时运行的任务的最大数量
+     */
+    constructor(limit) {
+        this.limit = limit;
+        this.runningCount = 0;
+        this.pendingItems = [];
+        this.abortError = undefined;
+        this.isLaunching = false;
+    }
+
+    /**
+     * 添加一个任务
+     *
+     * @param {*} task 任务函数 (done) => {...}
+     * @param {*} callback 任务完成时回调，参数跟 done 的参数一致
+     */
+    run(task, callback) {
+        if (this.abortError !== undefined) {
+            callback(this.abortError);
+            return;
+        }
+
+        this.pendingItems.push({ task, callback });
+        this._next();
+    }
+
+    /**
+     * 中止所有尚未开始的任务
+     *
+     * 正在运行的任务不受影响。
+     *
+     * @param {*} err
+     */
+    abort(err) {
+        if (this.abortError !== undefined) {
+            return;
+        }
+
+        this.abortError = err;
+
+        let pendingItems = this.pendingItems;
+        this.pendingItems = [];
+
+        for (let { callback } of pendingItems) {
+            callback(err);
+        }
+    }
+
+    _next() {
+        // 当任务同步地完成时，由外层的循环继续开始下一个任务
+        if (this.isLaunching) {
+            return;
+        }
+
+        this.isLaunching = true;
+
+        while (this.runningCount < this.limit && this.pendingItems.length > 0) {
+            let { task, callback } = this.pendingItems.shift();
+            this.runningCount++;
+
+            task((...args) => {
+                this.runningCount--;
+                callback(...args);
+                this._next();
+            });
+        }
+
+        this.isLaunching = false;
+    }
+
+    /**
+     * 以指定的并发数量逐个处理数组的项目
+     *
+     * - 当任一项目处理出错时，不再开始处理剩余的项目，
+     *   并在正在处理的项目都结束之后，回调第一个错误；
+     * - 项目的处理顺序（开始的顺序）跟数组的顺序一致。
+     *
+     * @param {*} items 项目数组
+     * @param {*} limit 同时处理的项目的最大数量
+     * @param {*} iterator 处理函数 (item, callback) => {...}
+     * @param {*} callback 回调返回 (err)
+     */
+    static forEach(items, limit, iterator, callback) {
+        let nextIndex = 0;
+        let runningCount = 0;
+        let firstError;
+        let isLaunching = false;
+        let isFinished = false;
+
+        // 当处理函数同步地回调时，由外层的循环继续开始下一个项目，
+        // 以避免过深的递归调用。
+        let launch = () => {
+            if (isLaunching || isFinished) {
+                return;
+            }
+
+            isLaunching = true;
+
+            while (firstError === undefined &&
+                runningCount < limit &&
+                nextIndex < items.length) {
+
+                let item = items[nextIndex];
+                nextIndex++;
+                runningCount++;
+
+                iterator(item, (err) => {
+                    runningCount--;
+
+                    if (err && firstError === undefined) {
+                        firstError = err;
+                    }
+
+                    launch();
+                });
+            }
+
+            isLaunching = false;
+
+            if (runningCount === 0 &&
+                (firstError !== undefined || nextIndex >= items.length)) {
+                isFinished = true;
+                callback(firstError);
+            }
+        };
+
+        launch();
+    }
+}
+
+module.exports = TaskLimiter;
\ No newline at end of file
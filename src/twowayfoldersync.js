@@ -0,0 +1,831 @@
+const path = require('path');
+
+const fse = require('fs-extra');
+
+const FolderSync = require('./foldersync');
+const SyncOptions = require('./syncoptions');
+const SyncState = require('./syncstate');
+const SyncManifest = require('./syncmanifest');
+const TaskLimiter = require('./tasklimiter');
+const ConflictResolution = require('./conflictresolution');
+const TwoWaySyncReport = require('./twowaysyncreport');
+
+/**
+ * 双向同步两个文件夹
+ *
+ * 跟 FolderSync 的单向同步不同，两边的文件夹（为了跟单向同步的术语一致，
+ * 仍然分别称为源文件夹和目标文件夹）都可以被修改。同步时根据上一次同步之后
+ * 保存的状态（SyncState）判断每一个文件在哪一边被改变了：
+ *
+ * - 只有一边新增、修改或者删除了文件，则把改变同步到另一边；
+ * - 两边都改变了同一个文件（且内容不一致），则视为冲突，按照选项
+ *   conflictResolution 处理，详细请见 ConflictResolution；
+ * - 两边的内容一致（包括两边都删除了），则只更新状态。
+ *
+ * 文件夹的新增和删除同样会双向同步，但如果被删除的文件夹在另一边含有需要保留的
+ * 文件（比如新增或者修改了的文件），则该文件夹会被恢复；如果含有没有被同步的内容
+ * （比如被忽略的文件），则该文件夹会被保留，并记录为冲突。
+ *
+ * 第一次同步时没有状态，两边都存在但内容不一致的文件都视为冲突；
+ * 一边是文件另一边是文件夹的内容不会被同步，只记录为冲突。
+ */
+class TwoWayFolderSync {
+
+    /**
+     * 双向同步两个文件夹
+     *
+     * @param {*} sourceFolderPath
+     * @param {*} destFolderPath 目标文件夹的路径，如果不存在则视为空的文件夹
+     * @param {*} options 可选的选项对象，选项的说明请见 SyncOptions.normalizeTwoWay 方法
+     * @param {*} callback 回调返回 (err, twoWaySyncReport)，twoWaySyncReport 为
+     *     TwoWaySyncReport 对象。无效的选项会导致回调返回 TypeError。
+     */
+    static sync(sourceFolderPath, destFolderPath, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = undefined;
+        }
+
+        let syncOptions;
+
+        try {
+            syncOptions = SyncOptions.normalizeTwoWay(options);
+        } catch (err) {
+            callback(err);
+            return;
+        }
+
+        // 状态文件默认保存在源文件夹里
+        let stateFilePath = path.resolve((syncOptions.stateFilePath === undefined) ?
+            path.join(sourceFolderPath, SyncState.defaultFileName) :
+            syncOptions.stateFilePath);
+
+        // 双向同步的参数以及状态对象
+        //
+        // - keptFolderPaths 含有同步之后两边都存在的文件（或者新增的文件夹）的文件夹的相对路径
+        // - removedPaths 被删除（模拟同步时为将会被删除）的文件和文件夹的相对路径
+        // - rateLimiter 跟单向同步共用的散列值计算以及复制方法所需的 RateLimiter 对象，
+        //   双向同步不限制速率，所以为 undefined
+        let syncContext = {
+            options: syncOptions,
+            sourceFolderPath: path.resolve(sourceFolderPath),
+            destFolderPath: path.resolve(destFolderPath),
+            stateFilePath: stateFilePath,
+            syncState: undefined,
+            updatedSyncState: new SyncState(),
+            syncReport: new TwoWaySyncReport(),
+            keptFolderPaths: new Set(),
+            removedPaths: new Set(),
+            rateLimiter: undefined
+        };
+
+        TwoWayFolderSync._sync(syncContext, callback);
+    }
+
+    static _sync(syncContext, callback) {
+        SyncState.load(syncContext.stateFilePath, (err, syncState) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            syncContext.syncState = syncState;
+
+            TwoWayFolderSync._listFolder(syncContext.sourceFolderPath, syncContext, false, (err, sourceEntries) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                TwoWayFolderSync._listFolder(syncContext.destFolderPath, syncContext, true, (err, destEntries) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    TwoWayFolderSync._syncEntries(sourceEntries, destEntries, syncContext, (err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        if (syncContext.options.dryRun) {
+                            callback(undefined, syncContext.syncReport);
+                            return;
+                        }
+
+                        syncContext.updatedSyncState.save(syncContext.stateFilePath, (err) => {
+                            if (err) {
+                                callback(err);
+                                return;
+                            }
+
+                            callback(undefined, syncContext.syncReport);
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * 递归列举文件夹的内容
+     *
+     * 被忽略的内容、状态文件以及复制文件时使用的临时文件（遗留的临时文件会被删除）
+     * 不会被列出。
+     *
+     * @param {*} folderPath
+     * @param {*} syncContext
+     * @param {*} isOptional 文件夹是否可以不存在，不存在时视为空的文件夹
+     * @param {*} callback 回调返回 (err, entries)，entries 为相对路径与类型
+     *     （'file' 或者 'folder'）的 Map
+     */
+    static _listFolder(folderPath, syncContext, isOptional, callback) {
+        let entries = new Map();
+
+        let isSkipped = (internal_file_path) => {
+            return path.join(folderPath, internal_file_path) === syncContext.stateFilePath ||
+                TwoWayFolderSync._isIgnoreFile(internal_file_path, syncContext);
+        };
+
+        let removeTempFile = (internal_file_path, callback) => {
+            if (syncContext.options.dryRun) {
+                callback();
+                return;
+            }
+
+            fse.remove(path.join(folderPath, internal_file_path), callback);
+        };
+
+        fse.stat(folderPath, (err) => {
+            if (err) {
+                if (isOptional && err.code === 'ENOENT') {
+                    callback(undefined, entries);
+                } else {
+                    callback(err);
+                }
+                return;
+            }
+
+            FolderSync._listEntries(folderPath, '/', isSkipped, (err, listedEntries) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                let tempFilePaths = [];
+
+                for (let entry of listedEntries) {
+                    if (entry.type === 'file' && FolderSync._isTempFileName(path.basename(entry.path))) {
+                        tempFilePaths.push(entry.path);
+                    } else {
+                        entries.set(entry.path, entry.type);
+                    }
+                }
+
+                TaskLimiter.forEach(tempFilePaths, 1, removeTempFile, (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    callback(undefined, entries);
+                });
+            });
+        });
+    }
+
+    static _isIgnoreFile(internal_file_path, syncContext) {
+        // 忽略模式的格式跟单向同步的一致，请见 FolderSync.sync 方法的说明
+        return FolderSync._isMatchGlobs(internal_file_path, syncContext.options.ignoreFileGlobs);
+    }
+
+    /**
+     * 判断路径本身或者其任一上层文件夹是否在集合里
+     *
+     * @param {*} pathSet
+     * @param {*} internal_path
+     * @returns boolean
+     */
+    static _isUnderAny(pathSet, internal_path) {
+        for (let currentPath = internal_path; currentPath !== '/'; currentPath = path.dirname(currentPath)) {
+            if (pathSet.has(currentPath)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * 把路径的所有上层文件夹（不包括根文件夹）加入集合
+     *
+     * @param {*} pathSet
+     * @param {*} internal_path
+     */
+    static _addParentFolders(pathSet, internal_path) {
+        for (let currentPath = path.dirname(internal_path); currentPath !== '/'; currentPath = path.dirname(currentPath)) {
+            if (pathSet.has(currentPath)) {
+                // 更上层的文件夹已经在集合里
+                return;
+            }
+
+            pathSet.add(currentPath);
+        }
+    }
+
+    /**
+     * 同步两边的文件以及文件夹
+     *
+     * 先逐个同步文件，然后再同步文件夹的新增和删除，因为是否删除文件夹
+     * 取决于文件夹里是否还有需要保留的文件。被删除的文件夹从最深的一层开始处理，
+     * 以便判断上层文件夹里是否还有其他内容。
+     *
+     * @param {*} sourceEntries
+     * @param {*} destEntries
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err)
+     */
+    static _syncEntries(sourceEntries, destEntries, syncContext, callback) {
+        let allPaths = Array.from(new Set([...sourceEntries.keys(), ...destEntries.keys()])).sort();
+
+        // 一边是文件另一边是文件夹的内容（以及文件夹里的内容）不会被同步
+        let typeConflictPaths = allPaths.filter((internal_path) => {
+            return sourceEntries.has(internal_path) && destEntries.has(internal_path) &&
+                sourceEntries.get(internal_path) !== destEntries.get(internal_path);
+        });
+
+        for (let internal_path of typeConflictPaths) {
+            syncContext.syncReport.addConflict(internal_path, 'unresolved');
+        }
+
+        let typeConflictPathSet = new Set(typeConflictPaths);
+
+        let isExcluded = (internal_path) => {
+            return TwoWayFolderSync._isUnderAny(typeConflictPathSet, internal_path);
+        };
+
+        let getType = (internal_path) => {
+            return sourceEntries.has(internal_path) ?
+                sourceEntries.get(internal_path) :
+                destEntries.get(internal_path);
+        };
+
+        let filePaths = allPaths.filter((internal_path) => {
+            return !isExcluded(internal_path) && getType(internal_path) === 'file';
+        });
+
+        let folderPaths = allPaths.filter((internal_path) => {
+            return !isExcluded(internal_path) && getType(internal_path) === 'folder';
+        });
+
+        let isOneSide = (internal_folder_path) => {
+            return sourceEntries.has(internal_folder_path) !== destEntries.has(internal_folder_path);
+        };
+
+        TaskLimiter.forEach(filePaths, 1, (internal_file_path, callback) => {
+            TwoWayFolderSync._syncFile(internal_file_path,
+                sourceEntries.has(internal_file_path),
+                destEntries.has(internal_file_path),
+                syncContext, callback);
+        }, (err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            let { syncState, keptFolderPaths } = syncContext;
+
+            // 新增的文件夹需要保留，所以其上层文件夹也需要保留
+            for (let internal_folder_path of folderPaths) {
+                if (isOneSide(internal_folder_path) && !syncState.hasFolder(internal_folder_path)) {
+                    TwoWayFolderSync._addParentFolders(keptFolderPaths, internal_folder_path);
+                }
+            }
+
+            // 在另一边被删除的文件夹
+            let isRemovedFolder = (internal_folder_path) => {
+                return isOneSide(internal_folder_path) &&
+                    syncState.hasFolder(internal_folder_path) &&
+                    !keptFolderPaths.has(internal_folder_path);
+            };
+
+            let removedFolderPaths = folderPaths.filter(isRemovedFolder).reverse();
+            let otherFolderPaths = folderPaths.filter(internal_folder_path => !isRemovedFolder(internal_folder_path));
+
+            TaskLimiter.forEach(removedFolderPaths, 1, (internal_folder_path, callback) => {
+                TwoWayFolderSync._removeFolder(internal_folder_path,
+                    sourceEntries.has(internal_folder_path), syncContext, callback);
+            }, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                TaskLimiter.forEach(otherFolderPaths, 1, (internal_folder_path, callback) => {
+                    TwoWayFolderSync._syncFolder(internal_folder_path,
+                        sourceEntries.has(internal_folder_path),
+                        destEntries.has(internal_folder_path),
+                        syncContext, callback);
+                }, callback);
+            });
+        });
+    }
+
+    /**
+     * 同步一个文件
+     *
+     * @param {*} internal_file_path
+     * @param {*} isSourceExists 列举文件夹时源文件是否存在
+     * @param {*} isDestExists 列举文件夹时目标文件是否存在
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err)
+     */
+    static _syncFile(internal_file_path, isSourceExists, isDestExists, syncContext, callback) {
+        let { syncState, syncReport } = syncContext;
+        let { conflictResolution } = syncContext.options;
+
+        let record = syncState.getRecord(internal_file_path);
+
+        TwoWayFolderSync._getFileInfo(syncContext.sourceFolderPath, internal_file_path,
+            isSourceExists, record && record.source, record, syncContext.rateLimiter, (err, sourceFileInfo) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            TwoWayFolderSync._getFileInfo(syncContext.destFolderPath, internal_file_path,
+                isDestExists, record && record.dest, record, syncContext.rateLimiter, (err, destFileInfo) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                let sourceHash = sourceFileInfo && sourceFileInfo.hash;
+                let destHash = destFileInfo && destFileInfo.hash;
+                let baseHash = record && record.hash;
+
+                if (sourceHash === destHash) {
+                    if (sourceHash === undefined) {
+                        // 两边都删除了
+                        callback();
+                        return;
+                    }
+
+                    syncReport.addUnchanged(internal_file_path);
+                    TwoWayFolderSync._keepFile(internal_file_path, sourceHash, syncContext, callback);
+                    return;
+                }
+
+                let isSourceChanged = (sourceHash !== baseHash);
+                let isDestChanged = (destHash !== baseHash);
+
+                if (!isSourceChanged || !isDestChanged) {
+                    TwoWayFolderSync._applyFile(internal_file_path, isSourceChanged ? 'source' : 'dest',
+                        sourceFileInfo, destFileInfo, syncContext, callback);
+                    return;
+                }
+
+                // 两边都改变了，即冲突
+                let winner;
+
+                if (sourceFileInfo === undefined || destFileInfo === undefined) {
+                    // 一边删除了，另一边修改了
+                    winner = (conflictResolution === ConflictResolution.source || destFileInfo === undefined) ?
+                        'source' : 'dest';
+
+                } else if (conflictResolution === ConflictResolution.keepBoth) {
+                    TwoWayFolderSync._keepBothFiles(internal_file_path,
+                        sourceFileInfo, destFileInfo, syncContext, callback);
+                    return;
+
+                } else if (conflictResolution === ConflictResolution.newer) {
+                    winner = (sourceFileInfo.stats.mtime.getTime() >= destFileInfo.stats.mtime.getTime()) ?
+                        'source' : 'dest';
+
+                } else {
+                    winner = 'source';
+                }
+
+                syncReport.addConflict(internal_file_path, winner);
+                TwoWayFolderSync._applyFile(internal_file_path, winner,
+                    sourceFileInfo, destFileInfo, syncContext, callback);
+            });
+        });
+    }
+
+    /**
+     * 获取一边的文件的状态以及散列值
+     *
+     * 如果文件的大小和修改时间跟上一次同步的记录一致，则直接使用记录的散列值。
+     *
+     * @param {*} folderPath
+     * @param {*} internal_file_path
+     * @param {*} isExists
+     * @param {*} sideRecord 上一次同步时该边的文件记录 {size, mtime}，可以为 undefined
+     * @param {*} record 上一次同步时的文件记录 {hash, source, dest}，可以为 undefined
+     * @param {*} rateLimiter 计算散列值时使用的 RateLimiter 对象
+     * @param {*} callback 回调返回 (err, fileInfo)，fileInfo 的格式为 {stats, hash}，
+     *     如果文件不存在则为 undefined
+     */
+    static _getFileInfo(folderPath, internal_file_path, isExists, sideRecord, record, rateLimiter, callback) {
+        if (!isExists) {
+            callback();
+            return;
+        }
+
+        let filePath = path.join(folderPath, internal_file_path);
+
+        fse.stat(filePath, (err, stats) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (sideRecord !== undefined && SyncManifest.isMatch(sideRecord, stats)) {
+                callback(undefined, { stats: stats, hash: record.hash });
+                return;
+            }
+
+            FolderSync._hashFile(filePath, rateLimiter, (err, hash) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                callback(undefined, { stats: stats, hash: hash });
+            });
+        });
+    }
+
+    /**
+     * 把一边（winner）的文件同步到另一边，即复制文件，或者当 winner 一边的
+     * 文件不存在时，删除另一边的文件。
+     *
+     * @param {*} internal_file_path
+     * @param {*} winner 'source' 或者 'dest'
+     * @param {*} sourceFileInfo
+     * @param {*} destFileInfo
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err)
+     */
+    static _applyFile(internal_file_path, winner, sourceFileInfo, destFileInfo, syncContext, callback) {
+        let { syncReport } = syncContext;
+        let { dryRun } = syncContext.options;
+
+        let isToDest = (winner === 'source');
+        let winnerFileInfo = isToDest ? sourceFileInfo : destFileInfo;
+
+        let fromFilePath = path.join(isToDest ?
+            syncContext.sourceFolderPath : syncContext.destFolderPath, internal_file_path);
+        let toFilePath = path.join(isToDest ?
+            syncContext.destFolderPath : syncContext.sourceFolderPath, internal_file_path);
+
+        if (winnerFileInfo === undefined) {
+            let processDelete = dryRun ?
+                (callback) => { callback(); } :
+                (callback) => { fse.remove(toFilePath, callback); };
+
+            processDelete((err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                if (isToDest) {
+                    syncReport.addDeleteFromDest('file', internal_file_path);
+                } else {
+                    syncReport.addDeleteFromSource('file', internal_file_path);
+                }
+
+                syncContext.removedPaths.add(internal_file_path);
+                callback();
+            });
+            return;
+        }
+
+        let processCopy = dryRun ?
+            (callback) => { callback(); } :
+            (callback) => { TwoWayFolderSync._copyFile(fromFilePath, toFilePath, syncContext, callback); };
+
+        processCopy((err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (isToDest) {
+                syncReport.addCopyToDest('file', internal_file_path);
+            } else {
+                syncReport.addCopyToSource('file', internal_file_path);
+            }
+
+            TwoWayFolderSync._keepFile(internal_file_path, winnerFileInfo.hash, syncContext, callback);
+        });
+    }
+
+    /**
+     * 保留冲突文件的两个版本
+     *
+     * 源文件夹一边的版本使用原来的名称，目标文件夹一边的版本另存为带有后缀的名称，
+     * 两边的文件夹都会有这两个文件。如果带有后缀的名称在任一边已经存在（比如之前的
+     * 冲突所保存的版本），则在后缀之后加上序号，比如 '/foo/bar.conflict-2.txt'。
+     *
+     * @param {*} internal_file_path
+     * @param {*} sourceFileInfo
+     * @param {*} destFileInfo
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err)
+     */
+    static _keepBothFiles(internal_file_path, sourceFileInfo, destFileInfo, syncContext, callback) {
+        let { syncReport } = syncContext;
+        let { dryRun, conflictSuffix } = syncContext.options;
+
+        let sourceFilePath = path.join(syncContext.sourceFolderPath, internal_file_path);
+        let destFilePath = path.join(syncContext.destFolderPath, internal_file_path);
+
+        let processKeepBoth = (internal_conflict_file_path) => {
+            let sourceConflictFilePath = path.join(syncContext.sourceFolderPath, internal_conflict_file_path);
+            let destConflictFilePath = path.join(syncContext.destFolderPath, internal_conflict_file_path);
+
+            let finish = () => {
+                syncReport.addConflict(internal_file_path, ConflictResolution.keepBoth, internal_conflict_file_path);
+                syncReport.addCopyToDest('file', internal_file_path);
+                syncReport.addCopyToSource('file', internal_conflict_file_path);
+
+                TwoWayFolderSync._keepFile(internal_file_path, sourceFileInfo.hash, syncContext, (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    TwoWayFolderSync._keepFile(internal_conflict_file_path, destFileInfo.hash, syncContext, callback);
+                });
+            };
+
+            if (dryRun) {
+                finish();
+                return;
+            }
+
+            TwoWayFolderSync._copyFile(destFilePath, sourceConflictFilePath, syncContext, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                fse.move(destFilePath, destConflictFilePath, (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    TwoWayFolderSync._copyFile(sourceFilePath, destFilePath, syncContext, (err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        finish();
+                    });
+                });
+            });
+        };
+
+        // 找出一个两边都不存在的冲突文件名称
+        let findConflictFilePath = (sequence) => {
+            let internal_conflict_file_path = TwoWayFolderSync._getConflictFilePath(
+                internal_file_path, (sequence === 1) ? conflictSuffix : `${conflictSuffix}-${sequence}`);
+
+            TwoWayFolderSync._isExistsOnEitherSide(internal_conflict_file_path, syncContext, (err, isExists) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                if (isExists) {
+                    findConflictFilePath(sequence + 1);
+                    return;
+                }
+
+                processKeepBoth(internal_conflict_file_path);
+            });
+        };
+
+        findConflictFilePath(1);
+    }
+
+    /**
+     * 判断相对路径在源文件夹或者目标文件夹里是否存在
+     *
+     * @param {*} internal_file_path
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err, isExists)
+     */
+    static _isExistsOnEitherSide(internal_file_path, syncContext, callback) {
+        fse.pathExists(path.join(syncContext.sourceFolderPath, internal_file_path), (err, isExists) => {
+            if (err || isExists) {
+                callback(err, isExists);
+                return;
+            }
+
+            fse.pathExists(path.join(syncContext.destFolderPath, internal_file_path), callback);
+        });
+    }
+
+    /**
+     * 获取冲突文件的相对路径，后缀插入在扩展名之前，
+     * 比如 '/foo/bar.txt' 的冲突文件为 '/foo/bar.conflict.txt'
+     *
+     * @param {*} internal_file_path
+     * @param {*} conflictSuffix
+     * @returns 相对路径
+     */
+    static _getConflictFilePath(internal_file_path, conflictSuffix) {
+        let extName = path.extname(internal_file_path);
+        let baseName = internal_file_path.substring(0, internal_file_path.length - extName.length);
+        return baseName + conflictSuffix + extName;
+    }
+
+    /**
+     * 记录同步之后两边都存在且一致的文件
+     *
+     * @param {*} internal_file_path
+     * @param {*} hash
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err)
+     */
+    static _keepFile(internal_file_path, hash, syncContext, callback) {
+        TwoWayFolderSync._addParentFolders(syncContext.keptFolderPaths, internal_file_path);
+
+        if (syncContext.options.dryRun) {
+            callback();
+            return;
+        }
+
+        fse.stat(path.join(syncContext.sourceFolderPath, internal_file_path), (err, sourceStats) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            fse.stat(path.join(syncContext.destFolderPath, internal_file_path), (err, destStats) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                syncContext.updatedSyncState.setRecord(internal_file_path, hash, sourceStats, destStats);
+                callback();
+            });
+        });
+    }
+
+    /**
+     * 同步一个文件夹的新增
+     *
+     * - 两边都存在，则只记录到状态；
+     * - 只有一边存在，即新增的文件夹，或者另一边删除了该文件夹但文件夹里有需要保留
+     *   的文件，则在另一边创建（恢复）该文件夹。
+     *
+     * 在另一边被删除的文件夹由 _removeFolder 方法处理。
+     *
+     * @param {*} internal_folder_path
+     * @param {*} isSourceExists
+     * @param {*} isDestExists
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err)
+     */
+    static _syncFolder(internal_folder_path, isSourceExists, isDestExists, syncContext, callback) {
+        let { updatedSyncState, syncReport } = syncContext;
+        let { dryRun } = syncContext.options;
+
+        if (isSourceExists && isDestExists) {
+            updatedSyncState.addFolder(internal_folder_path);
+            callback();
+            return;
+        }
+
+        let isToDest = isSourceExists;
+
+        let folderPath = path.join(isToDest ?
+            syncContext.destFolderPath : syncContext.sourceFolderPath, internal_folder_path);
+
+        let processCreate = dryRun ?
+            (callback) => { callback(); } :
+            (callback) => { fse.ensureDir(folderPath, callback); };
+
+        processCreate((err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (isToDest) {
+                syncReport.addCopyToDest('folder', internal_folder_path);
+            } else {
+                syncReport.addCopyToSource('folder', internal_folder_path);
+            }
+
+            updatedSyncState.addFolder(internal_folder_path);
+            callback();
+        });
+    }
+
+    /**
+     * 删除在另一边已经被删除的文件夹
+     *
+     * 文件夹里已经同步的内容在此之前已经被逐一删除（模拟同步时为将会被删除），
+     * 这里只删除已经变为空的文件夹。如果文件夹里还有没有被同步的内容（比如被忽略
+     * 的文件），则保留该文件夹，记录为冲突（'unresolved'），并且仍然记录到状态，
+     * 所以下一次同步时会再次检查。
+     *
+     * @param {*} internal_folder_path
+     * @param {*} isSourceExists 文件夹是否存在于源文件夹一边
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err)
+     */
+    static _removeFolder(internal_folder_path, isSourceExists, syncContext, callback) {
+        let { updatedSyncState, syncReport, removedPaths } = syncContext;
+        let { dryRun } = syncContext.options;
+
+        let folderPath = path.join(isSourceExists ?
+            syncContext.sourceFolderPath : syncContext.destFolderPath, internal_folder_path);
+
+        fse.readdir(folderPath, (err, fileNames) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            let hasRemainingEntry = fileNames.some((fileName) => {
+                return !removedPaths.has(path.join(internal_folder_path, fileName));
+            });
+
+            if (hasRemainingEntry) {
+                syncReport.addConflict(internal_folder_path, 'unresolved', undefined, 'folder');
+                updatedSyncState.addFolder(internal_folder_path);
+                callback();
+                return;
+            }
+
+            let processRemove = dryRun ?
+                (callback) => { callback(); } :
+                (callback) => { fse.rmdir(folderPath, callback); };
+
+            processRemove((err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                if (isSourceExists) {
+                    syncReport.addDeleteFromSource('folder', internal_folder_path);
+                } else {
+                    syncReport.addDeleteFromDest('folder', internal_folder_path);
+                }
+
+                removedPaths.add(internal_folder_path);
+                callback();
+            });
+        });
+    }
+
+    /**
+     * 复制文件，跟单向同步一样，先复制到临时文件，然后再重命名为目标文件
+     *
+     * @param {*} fromFilePath
+     * @param {*} toFilePath
+     * @param {*} syncContext
+     * @param {*} callback 回调返回 (err)
+     */
+    static _copyFile(fromFilePath, toFilePath, syncContext, callback) {
+        let tempFilePath = FolderSync._getTempFilePath(toFilePath);
+
+        let copyOptions = {
+            preserveTimestamps: true
+        };
+
+        FolderSync._copyFile(fromFilePath, tempFilePath, copyOptions, syncContext.rateLimiter, (err) => {
+            if (err) {
+                fse.remove(tempFilePath, () => {
+                    callback(err);
+                });
+                return;
+            }
+
+            fse.rename(tempFilePath, toFilePath, (err) => {
+                if (err) {
+                    fse.remove(tempFilePath, () => {
+                        callback(err);
+                    });
+                    return;
+                }
+
+                callback();
+            });
+        });
+    }
+}
+
+module.exports = TwoWayFolderSync;
@@ -0,0 +1,99 @@
+/**
+ * 双向同步的结果报告
+ *
+ * 由 TwoWayFolderSync.sync 方法返回，列出一次双向同步已经执行（当选项
+ * dryRun 为 true 时则是将会执行）的操作。
+ *
+ * 每一个项目的格式为 {type, path}，其中：
+ * - type 为 'file' 或者 'folder'
+ * - path 为相对于两边的文件夹的路径，以 '/' 字符开头，比如 '/foo/bar.txt'
+ */
+class TwoWaySyncReport {
+    constructor() {
+        // 从源文件夹复制到目标文件夹的文件，以及在目标文件夹里新建的文件夹
+        this.copiedToDest = [];
+
+        // 从目标文件夹复制到源文件夹的文件，以及在源文件夹里新建的文件夹
+        this.copiedToSource = [];
+
+        // 因为在源文件夹里被删除，所以在目标文件夹里也被删除的文件和文件夹
+        this.deletedFromDest = [];
+
+        // 因为在目标文件夹里被删除，所以在源文件夹里也被删除的文件和文件夹
+        this.deletedFromSource = [];
+
+        // 两边都改变了的文件，项目的格式为 {type, path, resolution}，
+        // resolution 为实际采用的处理方式：
+        // - 'source' 保留了源文件夹一边的版本
+        // - 'dest' 保留了目标文件夹一边的版本
+        // - 'keep-both' 两个版本都保留了，目标文件夹一边的版本另存为 conflictPath
+        //   （此时项目还有 conflictPath 属性）
+        // - 'unresolved' 一边是文件另一边是文件夹，或者一边删除了文件夹但另一边的该文件夹里
+        //   有没有被同步的内容（此时 type 为 'folder'），没有处理
+        this.conflicts = [];
+
+        // 两边一致，不需要同步的文件
+        this.unchanged = [];
+    }
+
+    addCopyToDest(type, path) {
+        this.copiedToDest.push({ type, path });
+    }
+
+    addCopyToSource(type, path) {
+        this.copiedToSource.push({ type, path });
+    }
+
+    addDeleteFromDest(type, path) {
+        this.deletedFromDest.push({ type, path });
+    }
+
+    addDeleteFromSource(type, path) {
+        this.deletedFromSource.push({ type, path });
+    }
+
+    addConflict(path, resolution, conflictPath, type = 'file') {
+        let conflict = { type, path, resolution };
+
+        if (conflictPath !== undefined) {
+            conflict.conflictPath = conflictPath;
+        }
+
+        this.conflicts.push(conflict);
+    }
+
+    addUnchanged(path) {
+        this.unchanged.push({ type: 'file', path });
+    }
+
+    /**
+     * 获取统计数据
+     *
+     * @returns {copiedToDest, copiedToSource, deletedFromDest, deletedFromSource,
+     *     conflicts, unchanged}，均为对应的项目数量
+     */
+    getTotals() {
+        return {
+            copiedToDest: this.copiedToDest.length,
+            copiedToSource: this.copiedToSource.length,
+            deletedFromDest: this.deletedFromDest.length,
+            deletedFromSource: this.deletedFromSource.length,
+            conflicts: this.conflicts.length,
+            unchanged: this.unchanged.length
+        };
+    }
+
+    /**
+     * 两边的文件夹是否有任何改变
+     *
+     * @returns boolean
+     */
+    hasChanges() {
+        return this.copiedToDest.length > 0 ||
+            this.copiedToSource.length > 0 ||
+            this.deletedFromDest.length > 0 ||
+            this.deletedFromSource.length > 0;
+    }
+}
+
+module.exports = TwoWaySyncReport;
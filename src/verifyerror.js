@@ -0,0 +1,25 @@
+/**
+ * 校验错误
+ *
+ * 当使用选项 verify 时，如果复制之后的目标文件的散列值跟源文件的不一致，
+ * 且重试之后仍然不一致，则同步以该错误结束。
+ */
+class VerifyError extends Error {
+
+    /**
+     *
+     * @param {*} filePath 文件的相对路径，比如 '/foo/bar.txt'
+     * @param {*} sourceFileHash 源文件的散列值
+     * @param {*} destFileHash 最后一次复制得到的目标文件的散列值
+     */
+    constructor(filePath, sourceFileHash, destFileHash) {
+        super(`File "${filePath}" does not match the source file after copying.`);
+
+        this.name = 'VerifyError';
+        this.filePath = filePath;
+        this.sourceFileHash = sourceFileHash;
+        this.destFileHash = destFileHash;
+    }
+}
+
+module.exports = VerifyError;
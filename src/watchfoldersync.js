@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const minimatch = require('minimatch');
+
+const FolderSync = require('./foldersync');
+const SyncOptions = require('./syncoptions');
+
+/**
+ * 监视模式，持续地把源文件夹的改变同步到目标文件夹
+ *
+ * 先进行一次完整的同步，然后使用 fs.watch 监视源文件夹，当源文件夹有改变时，
+ * 等待一段时间（选项 debounce）合并短时间内的多次改变，然后只同步有改变的
+ * 文件和文件夹。同步的规则跟 FolderSync.sync 方法完全一致，包括忽略模式、
+ * deleteExtraneous 等选项。
+ *
+ * 返回的 FolderWatcher 对象是一个 EventEmitter，除了 EventFolderSync 所列出的
+ * 同步过程中的事件，还会触发如下事件：
+ *
+ * - 'ready' syncReport，第一次完整的同步结束，开始监视
+ * - 'change' {paths, syncReport}，同步了一批改变，paths 为同步的范围路径列表，
+ *   比如 ['/foo/bar.txt', '/baz']，syncReport 为该次同步的 SyncReport 对象
+ *   （当选项 dryRun 为 true 时为 SyncPlan 对象）
+ * - 'error' err，同步出错或者监视出错。第一次同步出错或者监视出错时会停止监视，
+ *   之后的同步出错则会继续监视；跟 EventEmitter 的惯例一样，如果没有监听
+ *   'error' 事件，则错误会被抛出。
+ *
+ * 调用 stop 方法停止监视。
+ *
+ * 监视使用 fs.watch 的 recursive 选项，Linux 上需要 Node.js 19.1 或以上的版本，
+ * 在较低的版本上会触发 'error' 事件，详细请见 watch 方法。
+ * 其他功能（比如 FolderSync.sync）没有这个限制。
+ */
+class WatchFolderSync {
+
+    /**
+     * 监视并同步两个文件夹
+     *
+     * @param {*} sourceFolderPath
+     * @param {*} destFolderPath
+     * @param {*} options 可选的选项对象，选项的说明请见 SyncOptions 以及
+     *     SyncOptions.normalizeWatch 方法，无效的选项会触发 'error' 事件（TypeError）
+     * @returns FolderWatcher，如果当前平台的 Node.js 不支持递归监视（比如 Linux 上
+     *     低于 19.1 的版本），则触发 'error' 事件，其 code 属性为
+     *     'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM'，并且不会进行同步
+     */
+    static watch(sourceFolderPath, destFolderPath, options) {
+        let folderWatcher = new FolderWatcher(sourceFolderPath, destFolderPath);
+
+        let watchOptions;
+        let optionsError;
+
+        try {
+            watchOptions = SyncOptions.normalizeWatch(options);
+        } catch (err) {
+            optionsError = err;
+        }
+
+        // 让调用者有机会在同步开始之前添加事件监听
+        process.nextTick(() => {
+            if (optionsError) {
+                folderWatcher.stop();
+                folderWatcher.emit('error', optionsError);
+                return;
+            }
+
+            folderWatcher._start(watchOptions);
+        });
+
+        return folderWatcher;
+    }
+}
+
+class FolderWatcher extends EventEmitter {
+    constructor(sourceFolderPath, destFolderPath) {
+        super();
+
+        this.sourceFolderPath = path.resolve(sourceFolderPath);
+        this.destFolderPath = path.resolve(destFolderPath);
+
+        this._watchOptions = undefined;
+        this._fsWatcher = undefined;
+        this._debounceTimer = undefined;
+
+        // 等待同步的改变（相对路径），以及是否需要同步全部内容
+        this._changedPaths = new Set();
+        this._isFullSyncPending = false;
+
+        this._isReady = false;
+        this._isSyncing = false;
+        this._isStopped = false;
+        this._stopCallbacks = [];
+    }
+
+    /**
+     * 停止监视
+     *
+     * 正在进行的同步会继续完成，但不会再触发 'change' 事件。
+     *
+     * @param {*} callback 可选的回调函数，当正在进行的同步也结束之后回调 ()
+     */
+    stop(callback) {
+        if (!this._isStopped) {
+            this._isStopped = true;
+
+            clearTimeout(this._debounceTimer);
+            this._debounceTimer = undefined;
+
+            if (this._fsWatcher !== undefined) {
+                this._fsWatcher.close();
+                this._fsWatcher = undefined;
+            }
+        }
+
+        if (callback === undefined) {
+            return;
+        }
+
+        if (this._isSyncing) {
+            this._stopCallbacks.push(callback);
+        } else {
+            process.nextTick(callback);
+        }
+    }
+
+    _start(watchOptions) {
+        if (this._isStopped) {
+            return;
+        }
+
+        // 选项 hooks 里的监听函数只需添加一次，之后每次同步都不再添加
+        for (let [eventName, listener] of Object.entries(watchOptions.hooks)) {
+            this.on(eventName, listener);
+        }
+
+        this._watchOptions = Object.assign({}, watchOptions, { hooks: {} });
+
+        // 先开始监视再进行第一次同步，同步期间发生的改变会在同步结束之后再处理
+        try {
+            this._fsWatcher = fs.watch(this.sourceFolderPath, { recursive: true }, (eventType, fileName) => {
+                this._onChange(fileName);
+            });
+        } catch (err) {
+            this.stop();
+            this.emit('error', FolderWatcher._getWatchError(err));
+            return;
+        }
+
+        this._fsWatcher.on('error', (err) => {
+            this.stop();
+            this.emit('error', err);
+        });
+
+        this._sync(undefined);
+    }
+
+    /**
+     * 把不支持递归监视的错误转换为说明所需 Node.js 版本的错误，其余错误保持不变
+     *
+     * @param {*} err
+     * @returns Error
+     */
+    static _getWatchError(err) {
+        if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+            return err;
+        }
+
+        let watchError = new Error(
+            `Watch mode needs recursive fs.watch, which requires Node.js 19.1 or later on Linux (current version is ${process.version}).`);
+        watchError.code = err.code;
+        return watchError;
+    }
+
+    _onChange(fileName) {
+        if (this._isStopped) {
+            return;
+        }
+
+        // 有的平台不提供改变的文件名称，此时只能同步全部内容
+        if (fileName === null || fileName === undefined) {
+            this._isFullSyncPending = true;
+        } else {
+            let internal_file_path = '/' + fileName.toString().split(path.sep).join('/');
+
+            if (this._isIgnored(internal_file_path)) {
+                return;
+            }
+
+            this._changedPaths.add(internal_file_path);
+        }
+
+        clearTimeout(this._debounceTimer);
+        this._debounceTimer = setTimeout(() => {
+            this._debounceTimer = undefined;
+            this._flush();
+        }, this._watchOptions.debounce);
+    }
+
+    /**
+     * 判断改变的内容是否不需要同步
+     *
+     * 包括匹配中选项 ignoreFileGlobs 的内容（或者其上层文件夹匹配中），以及
+     * 同步本身产生的内容（当目标文件夹、备份文件夹位于源文件夹之内时）。
+     * 忽略文件以及 includeFileGlobs 的规则在同步时才判断。
+     *
+     * @param {*} internal_file_path
+     * @returns boolean
+     */
+    _isIgnored(internal_file_path) {
+        let { ignoreFileGlobs, backupFolderPath } = this._watchOptions;
+
+        let filePath = path.join(this.sourceFolderPath, internal_file_path);
+
+        let isUnder = (folderPath) => {
+            return filePath === folderPath || filePath.startsWith(folderPath + path.sep);
+        };
+
+        if (isUnder(this.destFolderPath) ||
+            (backupFolderPath !== undefined && isUnder(path.resolve(backupFolderPath))) ||
+            FolderSync._isTempFileName(path.basename(filePath))) {
+            return true;
+        }
+
+        let segments = internal_file_path.split('/').slice(1);
+
+        for (let idx = 1; idx <= segments.length; idx++) {
+            let partialPath = '/' + segments.slice(0, idx).join('/');
+
+            if (ignoreFileGlobs.some(ignoreFile => minimatch(partialPath, ignoreFile, { matchBase: true }))) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    _flush() {
+        // 正在同步时，等同步结束之后再处理
+        if (this._isStopped || this._isSyncing) {
+            return;
+        }
+
+        if (!this._isFullSyncPending && this._changedPaths.size === 0) {
+            return;
+        }
+
+        let scopePaths = this._isFullSyncPending ?
+            undefined :
+            FolderWatcher._getScopePaths(this._changedPaths, this._watchOptions.ignoreFileName);
+
+        this._changedPaths = new Set();
+        this._isFullSyncPending = false;
+
+        this._sync(scopePaths);
+    }
+
+    /**
+     *
+     * @param {*} scopePaths 同步的范围路径列表，为 undefined 时同步全部内容
+     */
+    _sync(scopePaths) {
+        this._isSyncing = true;
+
+        let syncContext = FolderSync._createSyncContext(this._watchOptions, this);
+        syncContext.scopePaths = scopePaths;
+
+        FolderSync._sync(this.sourceFolderPath, this.destFolderPath, syncContext, (err, syncReport) => {
+            this._isSyncing = false;
+
+            if (!this._isStopped) {
+                if (err) {
+                    if (!this._isReady) {
+                        this.stop();
+                    }
+
+                    this.emit('error', err);
+
+                } else if (!this._isReady) {
+                    this._isReady = true;
+                    this.emit('ready', syncReport);
+
+                } else {
+                    this.emit('change', {
+                        paths: (scopePaths === undefined) ? ['/'] : scopePaths,
+                        syncReport: syncReport
+                    });
+                }
+            }
+
+            let stopCallbacks = this._stopCallbacks;
+            this._stopCallbacks = [];
+
+            for (let callback of stopCallbacks) {
+                callback();
+            }
+
+            // 同步期间发生的改变
+            if (this._debounceTimer === undefined) {
+                this._flush();
+            }
+        });
+    }
+
+    /**
+     * 把改变的路径整理为同步的范围路径列表
+     *
+     * - 忽略文件改变时，其所在文件夹的全部内容都需要重新同步；
+     * - 已经包含在其他范围路径之下的路径会被移除。
+     *
+     * @param {*} changedPaths
+     * @param {*} ignoreFileName
+     * @returns 范围路径列表，如果需要同步全部内容则返回 undefined
+     */
+    static _getScopePaths(changedPaths, ignoreFileName) {
+        let paths = Array.from(changedPaths).map((internal_file_path) => {
+            return (ignoreFileName !== undefined && path.posix.basename(internal_file_path) === ignoreFileName) ?
+                path.posix.dirname(internal_file_path) :
+                internal_file_path;
+        });
+
+        if (paths.includes('/')) {
+            return;
+        }
+
+        return Array.from(new Set(paths)).sort().filter((internal_file_path, idx, sortedPaths) => {
+            return !sortedPaths.some((otherPath) => {
+                return internal_file_path.startsWith(otherPath + '/');
+            });
+        });
+    }
+}
+
+module.exports = WatchFolderSync;
@@ -1,6 +1,7 @@
 const path = require('path');
 const tmp = require('tmp');
 const tmpPromise = require('tmp-promise');
+const fs = require('fs');
 const fse = require('fs-extra');
 const fsPromise = require('fs/promises');
 
@@ -10,7 +11,9 @@ const { ObjectUtils } = require('jsobjectutils');
 const { FileInfo, FolderInfo, FileUtils, HashAlgorithm, PromiseFileUtils } = require('jsfileutils');
 const { PromiseTextFile } = require('jstextfile');
 
-const { FolderSync, PromiseFolderSync } = require('../index');
+const { FolderSync, PromiseFolderSync, EventFolderSync, CompareStrategy, SymlinkPolicy, VerifyError, SyncError,
+    TwoWayFolderSync, ConflictResolution, WatchFolderSync, SyncJobs, SnapshotSync, LinkMode, RateLimiter } = require('../index');
+const CommandLine = require('../src/commandline');
 
 const testDir = __dirname;
 const testResourceFolderName = 'resource';
@@ -503,4 +506,2080 @@ describe('Test sync', () => {
 
     });
 
+    describe('Test dry run', () => {
+        let getPaths = (entries) => {
+            return entries.map(item => item.path).sort();
+        };
+
+        it('Test dry run to a nonexistent folder', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+
+            let { path: tempDir2 } = await tmpPromise.dir();
+            let destDir = path.join(tempDir2, 'dest');
+
+            let syncPlan = await PromiseFolderSync.dryRun(tempDir1, destDir);
+
+            assert(ObjectUtils.arrayEquals(getPaths(syncPlan.creates), [
+                '/dir1',
+                '/dir1/dir3',
+                '/dir1/dir3/test1-1-1.txt',
+                '/dir1/dir3/test1-1-2.txt',
+                '/dir1/test1-1.txt',
+                '/dir1/test1-2.md',
+                '/dir2',
+                '/dir2/test2-1.txt',
+                '/test1.txt',
+                '/test2.txt',
+                '/test3.md'
+            ]));
+
+            assert.equal(syncPlan.overwrites.length, 0);
+            assert.equal(syncPlan.deletes.length, 0);
+            assert.equal(syncPlan.identicals.length, 0);
+
+            // 目标文件夹不应该被创建
+            let isExistDest = await PromiseFileUtils.exists(destDir);
+            assert(!isExistDest);
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+
+        it('Test dry run with changes', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+            let { path: tempDir2 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(tempDir1, tempDir2);
+
+            let sourceFile1Path = path.join(tempDir1, 'test1.txt');
+            let targetFile1Path = path.join(tempDir2, 'test1.txt');
+            let targetFile2Path = path.join(tempDir2, 'dir2', 'new2-1.txt');
+            let targetFolder3Path = path.join(tempDir2, 'dir1', 'test1-1.txt');
+
+            await PromiseTextFile.write(sourceFile1Path, 'change1a');
+            await PromiseTextFile.write(targetFile2Path, 'new2-1');
+
+            // 目标文件夹里跟源文件同名的文件夹
+            await fse.remove(targetFolder3Path);
+            await fse.ensureDir(targetFolder3Path);
+
+            let syncPlan = await PromiseFolderSync.dryRun(tempDir1, tempDir2, true);
+
+            assert(ObjectUtils.arrayEquals(getPaths(syncPlan.creates), ['/dir1/test1-1.txt']));
+            assert(ObjectUtils.arrayEquals(getPaths(syncPlan.overwrites), ['/test1.txt']));
+            assert(ObjectUtils.arrayEquals(getPaths(syncPlan.deletes), ['/dir1/test1-1.txt', '/dir2/new2-1.txt']));
+            assert.equal(syncPlan.identicals.length, 6);
+            assert(syncPlan.hasChanges());
+
+            // 目标文件夹不应该被改变
+            let targetContent1 = await fsPromise.readFile(targetFile1Path, 'utf8');
+            assert.notEqual(targetContent1, 'change1a');
+
+            let isExistTarget2 = await PromiseFileUtils.exists(targetFile2Path);
+            assert(isExistTarget2);
+
+            let targetStats3 = await fsPromise.stat(targetFolder3Path);
+            assert(targetStats3.isDirectory());
+
+            // 同步之后再次模拟同步，应该没有任何改变
+            await PromiseFolderSync.sync(tempDir1, tempDir2, true);
+            let syncPlan2 = await PromiseFolderSync.dryRun(tempDir1, tempDir2, true);
+            assert(!syncPlan2.hasChanges());
+            assert.equal(syncPlan2.identicals.length, 8);
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+    });
+    describe('Test sync report', () => {
+        let getPaths = (entries) => {
+            return entries.map(item => item.path).sort();
+        };
+
+        it('Test sync report', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+
+            let { path: tempDir2 } = await tmpPromise.dir();
+            let syncReport1 = await PromiseFolderSync.sync(tempDir1, tempDir2, false, ['*.md']);
+
+            assert(ObjectUtils.arrayEquals(getPaths(syncReport1.created), [
+                '/dir1',
+                '/dir1/dir3',
+                '/dir1/dir3/test1-1-1.txt',
+                '/dir1/dir3/test1-1-2.txt',
+                '/dir1/test1-1.txt',
+                '/dir2',
+                '/dir2/test2-1.txt',
+                '/test1.txt',
+                '/test2.txt'
+            ]));
+
+            assert(ObjectUtils.arrayEquals(getPaths(syncReport1.ignored), ['/dir1/test1-2.md', '/test3.md']));
+            assert(syncReport1.hasChanges());
+
+            let totals1 = syncReport1.getTotals();
+            assert.equal(totals1.created, 9);
+            assert.equal(totals1.overwritten, 0);
+            assert.equal(totals1.deleted, 0);
+            assert.equal(totals1.unchanged, 0);
+            assert(totals1.bytesCopied > 0);
+            assert(totals1.elapsedTime >= 0);
+
+            // 修改、增加文件，然后再次同步
+            await PromiseTextFile.write(path.join(tempDir1, 'test1.txt'), 'change1a');
+            await PromiseTextFile.write(path.join(tempDir2, 'new1.txt'), 'new1');
+
+            let syncReport2 = await PromiseFolderSync.sync(tempDir1, tempDir2, true, ['*.md']);
+            assert.equal(syncReport2.created.length, 0);
+            assert(ObjectUtils.arrayEquals(getPaths(syncReport2.overwritten), ['/test1.txt']));
+            assert(ObjectUtils.arrayEquals(getPaths(syncReport2.deleted), ['/new1.txt']));
+            assert.equal(syncReport2.unchanged.length, 5);
+            let sourceFile1Stats = await fsPromise.stat(path.join(tempDir1, 'test1.txt'));
+            assert.equal(syncReport2.bytesCopied, sourceFile1Stats.size);
+
+            // 没有任何改变
+            let syncReport3 = await PromiseFolderSync.sync(tempDir1, tempDir2, true, ['*.md']);
+            assert(!syncReport3.hasChanges());
+            assert.equal(syncReport3.bytesCopied, 0);
+            assert.equal(syncReport3.unchanged.length, 6);
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+    });
+    describe('Test sync events', () => {
+        it('Test sync events', (done) => {
+            tmp.dir((err, tempDir) => {
+                if (err) {
+                    fail(err.message);
+                    return;
+                }
+
+                let folderPaths = [];
+                let comparedPaths = [];
+                let copiedPaths = [];
+                let ignoredPaths = [];
+                let bytesCopied = 0;
+
+                let eventEmitter = EventFolderSync.sync(testResourceDir, tempDir, false, ['dir2']);
+
+                eventEmitter.on('folder-entered', ({ path }) => {
+                    folderPaths.push(path);
+                });
+
+                eventEmitter.on('file-compared', ({ path, isIdentical }) => {
+                    assert(!isIdentical);
+                    comparedPaths.push(path);
+                });
+
+                eventEmitter.on('file-copied', ({ path, size, isOverwrite }) => {
+                    assert(!isOverwrite);
+                    copiedPaths.push(path);
+                    bytesCopied += size;
+                });
+
+                eventEmitter.on('entry-ignored', ({ type, path }) => {
+                    assert.equal(type, 'folder');
+                    ignoredPaths.push(path);
+                });
+
+                eventEmitter.on('error', (err) => {
+                    fail(err.message);
+                });
+
+                eventEmitter.on('end', (syncReport) => {
+                    assert(ObjectUtils.arrayEquals(folderPaths.sort(), ['/', '/dir1', '/dir1/dir3']));
+                    assert(ObjectUtils.arrayEquals(ignoredPaths, ['/dir2']));
+                    assert.equal(comparedPaths.length, 7);
+                    assert.equal(copiedPaths.length, 7);
+                    assert.equal(bytesCopied, syncReport.bytesCopied);
+
+                    fse.remove(tempDir, () => {
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('Test sync error event', (done) => {
+            let eventEmitter = EventFolderSync.sync(path.join(testDir, 'nonexistent'), path.join(testDir, 'nonexistent-dest'));
+
+            eventEmitter.on('error', (err) => {
+                assert(err instanceof Error);
+                done();
+            });
+
+            eventEmitter.on('end', () => {
+                fail('should not end');
+            });
+        });
+    });
+    describe('Test sync with options object', () => {
+        it('Test options object - callback', (done) => {
+            tmp.dir((err, tempDir) => {
+                if (err) {
+                    fail(err.message);
+                    return;
+                }
+
+                let copiedCount = 0;
+
+                let options = {
+                    deleteExtraneous: true,
+                    ignoreFileGlobs: ['*.md'],
+                    hooks: {
+                        'file-copied': () => {
+                            copiedCount++;
+                        }
+                    }
+                };
+
+                FolderSync.sync(testResourceDir, tempDir, options, (err, syncReport) => {
+                    if (err) {
+                        fail(err.message);
+                        return;
+                    }
+
+                    assert.equal(copiedCount, 6);
+                    assert.equal(syncReport.ignored.length, 2);
+
+                    fse.remove(tempDir, () => {
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('Test options object - Promise', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+
+            let syncPlan = await PromiseFolderSync.sync(testResourceDir, tempDir, {
+                dryRun: true
+            });
+
+            assert.equal(syncPlan.creates.length, 11);
+
+            let fileInfos = await PromiseFileUtils.listRecursively(tempDir);
+            assert.equal(fileInfos.length, 0);
+
+            let syncReport = await PromiseFolderSync.sync(testResourceDir, tempDir, {
+                ignoreFileGlobs: ['dir1']
+            });
+
+            assert.equal(syncReport.created.length, 5);
+
+            await fse.remove(tempDir);
+        });
+
+        it('Test invalid options', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+
+            await assert.rejects(PromiseFolderSync.sync(testResourceDir, tempDir, {
+                deleteExtraneous: 'yes'
+            }), {
+                name: 'TypeError',
+                message: 'Sync option "deleteExtraneous" should be a boolean.'
+            });
+
+            await assert.rejects(PromiseFolderSync.sync(testResourceDir, tempDir, {
+                ignore: ['*.md']
+            }), {
+                name: 'TypeError',
+                message: 'Unknown sync option "ignore".'
+            });
+
+            await assert.rejects(PromiseFolderSync.sync(testResourceDir, tempDir, {
+                hooks: { 'file-copy': () => { } }
+            }), {
+                name: 'TypeError',
+                message: 'Unknown sync hook "file-copy".'
+            });
+
+            // 目标文件夹不应该被改变
+            let fileInfos = await PromiseFileUtils.listRecursively(tempDir);
+            assert.equal(fileInfos.length, 0);
+
+            await fse.remove(tempDir);
+        });
+    });
+    describe('Test sync with compare strategy', () => {
+        it('Test compare strategy', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+            let { path: tempDir2 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(tempDir1, tempDir2);
+
+            let targetFile1Path = path.join(tempDir2, 'test1.txt');
+            let targetFile2Path = path.join(tempDir2, 'dir1', 'test1-1.txt');
+
+            // 没有任何改变
+            let syncReport1 = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                compareStrategy: CompareStrategy.sizeMtime
+            });
+            assert(!syncReport1.hasChanges());
+            assert.equal(syncReport1.unchanged.length, 8);
+
+            // 修改目标文件的内容，但保持文件大小和修改时间不变
+            let targetFile1Stats = await fsPromise.stat(targetFile1Path);
+            let targetFile1Content = await fsPromise.readFile(targetFile1Path);
+            await fsPromise.writeFile(targetFile1Path, Buffer.alloc(targetFile1Content.length, 'x'));
+            await fsPromise.utimes(targetFile1Path, targetFile1Stats.atime, targetFile1Stats.mtime);
+
+            // 修改目标文件的内容以及大小
+            await PromiseTextFile.write(targetFile2Path, 'change2t');
+
+            let syncReport2 = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                compareStrategy: CompareStrategy.sizeMtime
+            });
+            assert.equal(syncReport2.overwritten.length, 1);
+            assert.equal(syncReport2.overwritten[0].path, '/dir1/test1-1.txt');
+
+            let syncReport3 = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                compareStrategy: CompareStrategy.sizeHash
+            });
+            assert.equal(syncReport3.overwritten.length, 1);
+            assert.equal(syncReport3.overwritten[0].path, '/test1.txt');
+
+            let syncReport4 = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                compareStrategy: CompareStrategy.hash
+            });
+            assert(!syncReport4.hasChanges());
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+    });
+    describe('Test sync with concurrency', () => {
+        it('Test concurrency', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+
+            // 增加更多的文件
+            for (let idx = 0; idx < 20; idx++) {
+                await PromiseTextFile.write(path.join(tempDir1, 'dir2', `new2-${idx}.txt`), `new2-${idx}`);
+            }
+
+            let { path: tempDir2 } = await tmpPromise.dir();
+            await PromiseTextFile.write(path.join(tempDir2, 'new1.txt'), 'new1');
+
+            let syncReport1 = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                deleteExtraneous: true,
+                concurrency: 4
+            });
+
+            assert.equal(syncReport1.created.length, 31);
+            assert.equal(syncReport1.deleted.length, 1);
+
+            let sourceFileInfos = await PromiseFileUtils.listRecursively(tempDir1);
+            let targetFileInfos = await PromiseFileUtils.listRecursively(tempDir2);
+            assert.equal(sourceFileInfos.length, targetFileInfos.length);
+
+            let syncReport2 = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                deleteExtraneous: true,
+                concurrency: 4
+            });
+
+            assert(!syncReport2.hasChanges());
+            assert.equal(syncReport2.unchanged.length, 28);
+
+            await assert.rejects(PromiseFolderSync.sync(tempDir1, tempDir2, {
+                concurrency: 0
+            }), {
+                name: 'TypeError',
+                message: 'Sync option "concurrency" should be a positive integer.'
+            });
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+    });
+    describe('Test sync with manifest', () => {
+        it('Test manifest', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+            let { path: tempDir2 } = await tmpPromise.dir();
+
+            let options = {
+                deleteExtraneous: true,
+                manifest: true
+            };
+
+            let syncReport1 = await PromiseFolderSync.sync(tempDir1, tempDir2, options);
+            assert.equal(syncReport1.created.length, 11);
+
+            let manifestFilePath = path.join(tempDir2, '.jsfoldersync-manifest.json');
+            let manifest = await fse.readJson(manifestFilePath);
+            assert.equal(manifest.version, 1);
+            assert.equal(Object.keys(manifest.files).length, 8);
+
+            let fileRecord = manifest.files['/dir1/test1-1.txt'];
+            let sourceFileHash = await PromiseFileUtils.hashFile(path.join(tempDir1, 'dir1', 'test1-1.txt'), HashAlgorithm.sha256);
+            assert.equal(fileRecord.hash, sourceFileHash);
+
+            // 清单文件不应该被删除
+            let syncReport2 = await PromiseFolderSync.sync(tempDir1, tempDir2, options);
+            assert(!syncReport2.hasChanges());
+            assert(await PromiseFileUtils.exists(manifestFilePath));
+
+            // 修改目标文件的内容，但保持文件大小和修改时间不变，
+            // 因为跟清单的记录一致，所以不会被检测到
+            let targetFile1Path = path.join(tempDir2, 'test1.txt');
+            let targetFile1Stats = await fsPromise.stat(targetFile1Path);
+            let targetFile1Content = await fsPromise.readFile(targetFile1Path);
+            await fsPromise.writeFile(targetFile1Path, Buffer.alloc(targetFile1Content.length, 'x'));
+            await fsPromise.utimes(targetFile1Path, targetFile1Stats.atime, targetFile1Stats.mtime);
+
+            // 修改目标文件的内容
+            await PromiseTextFile.write(path.join(tempDir2, 'dir1', 'test1-1.txt'), 'change2t');
+
+            let syncReport3 = await PromiseFolderSync.sync(tempDir1, tempDir2, options);
+            assert.equal(syncReport3.modifiedInDest.length, 1);
+            assert.equal(syncReport3.modifiedInDest[0].path, '/dir1/test1-1.txt');
+            assert.equal(syncReport3.overwritten.length, 1);
+            assert.equal(syncReport3.overwritten[0].path, '/dir1/test1-1.txt');
+            assert.equal(syncReport3.unchanged.length, 7);
+
+            // 删除源文件，清单的记录也会被删除
+            await fsPromise.unlink(path.join(tempDir1, 'test2.txt'));
+            await PromiseFolderSync.sync(tempDir1, tempDir2, options);
+
+            let manifest2 = await fse.readJson(manifestFilePath);
+            assert.equal(Object.keys(manifest2.files).length, 7);
+            assert.equal(manifest2.files['/test2.txt'], undefined);
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+    });
+    describe('Test sync with ignore file', () => {
+        it('Test ignore file', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+
+            // 源文件目录：
+            // [
+            //     '/.syncignore',
+            //     '/dir1',
+            //     '/dir1/.syncignore',
+            //     '/dir1/dir3',
+            //     '/dir1/dir3/test1-1-1.txt',
+            //     '/dir1/dir3/test1-1-2.txt',
+            //     '/dir1/test1-1.txt',
+            //     '/dir1/test1-2.md',
+            //     '/dir2',
+            //     '/dir2/test2-1.txt',
+            //     '/dir3', // 文件
+            //     '/test1.txt',
+            //     '/test2.txt',
+            //     '/test3.md'
+            // ]
+
+            await PromiseTextFile.write(path.join(tempDir1, '.syncignore'), [
+                '# comment',
+                '*.txt',
+                '!test1.txt',
+                'dir3/',
+                'dir1/test1-2.md'
+            ].join('\n'));
+
+            await PromiseTextFile.write(path.join(tempDir1, 'dir1', '.syncignore'), [
+                '!test1-1.txt'
+            ].join('\n'));
+
+            await PromiseTextFile.write(path.join(tempDir1, 'dir3'), 'dir3');
+
+            let { path: tempDir2 } = await tmpPromise.dir();
+            let syncReport = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                ignoreFileName: '.syncignore'
+            });
+
+            let targetFileInfos = await PromiseFileUtils.listRecursively(tempDir2);
+            let targetFileNames = targetFileInfos
+                .map(item => {
+                    return item.filePath.substring(tempDir2.length);
+                })
+                .sort();
+
+            assert(ObjectUtils.arrayEquals(targetFileNames, [
+                '/.syncignore',
+                '/dir1',
+                '/dir1/.syncignore',
+                '/dir1/test1-1.txt',
+                '/dir2',
+                '/dir3',
+                '/test1.txt',
+                '/test3.md'
+            ]));
+
+            let ignoredPaths = syncReport.ignored.map(item => item.path).sort();
+            assert(ObjectUtils.arrayEquals(ignoredPaths, [
+                '/dir1/dir3',
+                '/dir1/test1-2.md',
+                '/dir2/test2-1.txt',
+                '/test2.txt'
+            ]));
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+    });
+    describe('Test sync with includeFileGlobs', () => {
+        it('Test includeFileGlobs', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+
+            // 源文件目录：
+            // [
+            //     '/dir1',
+            //     '/dir1/dir3',
+            //     '/dir1/dir3/test1-1-1.txt',
+            //     '/dir1/dir3/test1-1-2.txt',
+            //     '/dir1/test1-1.txt',
+            //     '/dir1/test1-2.md',
+            //     '/dir2',
+            //     '/dir2/test2-1.txt',
+            //     '/test1.txt',
+            //     '/test2.txt',
+            //     '/test3.md'
+            // ]
+
+            let { path: tempDir2 } = await tmpPromise.dir();
+            let syncReport = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                includeFileGlobs: ['*.md', 'dir1/dir3/test1-1-1.txt']
+            });
+
+            let targetFileInfos = await PromiseFileUtils.listRecursively(tempDir2);
+            let targetFileNames = targetFileInfos
+                .map(item => {
+                    return item.filePath.substring(tempDir2.length);
+                })
+                .sort();
+
+            // 不会创建空的文件夹 '/dir2'
+            assert(ObjectUtils.arrayEquals(targetFileNames, [
+                '/dir1',
+                '/dir1/dir3',
+                '/dir1/dir3/test1-1-1.txt',
+                '/dir1/test1-2.md',
+                '/test3.md'
+            ]));
+
+            assert.equal(syncReport.created.length, 5);
+
+            // 模拟同步的结果应该一致
+            let { path: tempDir3 } = await tmpPromise.dir();
+            let syncPlan = await PromiseFolderSync.dryRun(tempDir1, tempDir3, {
+                includeFileGlobs: ['*.md', 'dir1/dir3/test1-1-1.txt']
+            });
+
+            let createPaths = syncPlan.creates.map(item => item.path).sort();
+            assert(ObjectUtils.arrayEquals(createPaths, targetFileNames));
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+            await fse.remove(tempDir3);
+        });
+    });
+    describe('Test sync with protectFileGlobs', () => {
+        it('Test protectFileGlobs', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+            let { path: tempDir2 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(tempDir1, tempDir2);
+
+            // 只存在于目标文件夹的内容
+            let targetFile1Path = path.join(tempDir2, '.env');
+            let targetFile2Path = path.join(tempDir2, 'logs', 'app.log');
+            let targetFile3Path = path.join(tempDir2, 'logs', 'app.tmp');
+            let targetFile4Path = path.join(tempDir2, 'new1.txt');
+
+            await PromiseTextFile.write(targetFile1Path, 'env');
+            await fse.ensureDir(path.join(tempDir2, 'logs'));
+            await PromiseTextFile.write(targetFile2Path, 'log');
+            await PromiseTextFile.write(targetFile3Path, 'tmp');
+            await PromiseTextFile.write(targetFile4Path, 'new1');
+
+            // 跟源文件同名但类型不同的目标文件夹
+            let targetFolder5Path = path.join(tempDir2, 'test2.txt');
+            await fse.remove(targetFolder5Path);
+            await fse.ensureDir(targetFolder5Path);
+            await PromiseTextFile.write(path.join(targetFolder5Path, 'upload.log'), 'upload');
+
+            let syncReport = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                deleteExtraneous: true,
+                protectFileGlobs: ['.env', '*.log']
+            });
+
+            assert(await PromiseFileUtils.exists(targetFile1Path));
+            assert(await PromiseFileUtils.exists(targetFile2Path));
+            assert(!await PromiseFileUtils.exists(targetFile3Path));
+            assert(!await PromiseFileUtils.exists(targetFile4Path));
+
+            // 目标文件夹 '/test2.txt' 被保留，源文件 '/test2.txt' 不会被同步
+            let targetStats5 = await fsPromise.stat(targetFolder5Path);
+            assert(targetStats5.isDirectory());
+
+            let protectedPaths = syncReport.protected.map(item => item.path).sort();
+            assert(ObjectUtils.arrayEquals(protectedPaths, [
+                '/.env',
+                '/logs/app.log',
+                '/test2.txt/upload.log'
+            ]));
+
+            let deletedPaths = syncReport.deleted.map(item => item.path).sort();
+            assert(ObjectUtils.arrayEquals(deletedPaths, [
+                '/logs/app.tmp',
+                '/new1.txt'
+            ]));
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+    });
+
+    describe('Test sync with backup', () => {
+        it('Test backupFolderPath', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+            let { path: tempDir2 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(tempDir1, tempDir2);
+            let { path: tempDir3 } = await tmpPromise.dir();
+
+            // 修改源文件，并在目标文件夹增加多余的文件
+            await PromiseTextFile.write(path.join(tempDir1, 'test1.txt'), 'foo');
+            await PromiseTextFile.write(path.join(tempDir2, 'dir1', 'new1.txt'), 'new1');
+
+            let syncReport = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                deleteExtraneous: true,
+                backupFolderPath: tempDir3
+            });
+
+            let backedUpPaths = syncReport.backedUp.map(item => item.path).sort();
+            assert(ObjectUtils.arrayEquals(backedUpPaths, [
+                '/dir1/new1.txt',
+                '/test1.txt'
+            ]));
+
+            assert.equal(path.dirname(syncReport.backupFolderPath), tempDir3);
+
+            let backupFile1Path = path.join(syncReport.backupFolderPath, 'test1.txt');
+            let backupFile2Path = path.join(syncReport.backupFolderPath, 'dir1', 'new1.txt');
+
+            let originalText1 = await fsPromise.readFile(path.join(testResourceDir, 'test1.txt'), 'utf8');
+            assert.equal(await fsPromise.readFile(backupFile1Path, 'utf8'), originalText1);
+            assert.equal(await fsPromise.readFile(backupFile2Path, 'utf8'), 'new1');
+
+            assert.equal(await fsPromise.readFile(path.join(tempDir2, 'test1.txt'), 'utf8'), 'foo');
+            assert(!await PromiseFileUtils.exists(path.join(tempDir2, 'dir1', 'new1.txt')));
+
+            // 从备份恢复
+            let restoredPaths = await PromiseFolderSync.restoreBackup(syncReport.backupFolderPath, tempDir2);
+            assert(ObjectUtils.arrayEquals(restoredPaths.sort(), ['/dir1/new1.txt', '/test1.txt']));
+
+            assert.equal(await fsPromise.readFile(path.join(tempDir2, 'test1.txt'), 'utf8'), originalText1);
+            assert.equal(await fsPromise.readFile(path.join(tempDir2, 'dir1', 'new1.txt'), 'utf8'), 'new1');
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+            await fse.remove(tempDir3);
+        });
+
+        it('Test backupSuffix', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+            let { path: tempDir2 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(tempDir1, tempDir2);
+
+            await PromiseTextFile.write(path.join(tempDir1, 'test1.txt'), 'foo');
+
+            let options = {
+                deleteExtraneous: true,
+                backupSuffix: '~'
+            };
+
+            let syncReport1 = await PromiseFolderSync.sync(tempDir1, tempDir2, options);
+            assert.equal(syncReport1.backedUp.length, 1);
+            assert.equal(syncReport1.backupFolderPath, undefined);
+
+            let originalText1 = await fsPromise.readFile(path.join(testResourceDir, 'test1.txt'), 'utf8');
+            let backupFile1Path = path.join(tempDir2, 'test1.txt~');
+            assert.equal(await fsPromise.readFile(backupFile1Path, 'utf8'), originalText1);
+
+            // 备份文件不会因为 deleteExtraneous 而被删除
+            let syncReport2 = await PromiseFolderSync.sync(tempDir1, tempDir2, options);
+            assert.equal(syncReport2.deleted.length, 0);
+            assert(await PromiseFileUtils.exists(backupFile1Path));
+
+            // 被删除的文件夹同样以后缀备份
+            await fse.remove(path.join(tempDir1, 'dir2'));
+            await PromiseFolderSync.sync(tempDir1, tempDir2, options);
+            assert(await PromiseFileUtils.exists(path.join(tempDir2, 'dir2~', 'test2-1.txt')));
+
+            // 从备份恢复
+            let restoredPaths = await PromiseFolderSync.restoreSuffixBackup(tempDir2, '~');
+            assert(ObjectUtils.arrayEquals(restoredPaths.sort(), ['/dir2', '/test1.txt']));
+            assert.equal(await fsPromise.readFile(path.join(tempDir2, 'test1.txt'), 'utf8'), originalText1);
+            assert(await PromiseFileUtils.exists(path.join(tempDir2, 'dir2', 'test2-1.txt')));
+            assert(!await PromiseFileUtils.exists(backupFile1Path));
+
+            await assert.rejects(PromiseFolderSync.restoreSuffixBackup(tempDir2, ''), TypeError);
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+
+        it('Test backup by hard link', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+            let { path: tempDir2 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(tempDir1, tempDir2);
+
+            let destFile1Path = path.join(tempDir2, 'test1.txt');
+            let originalStats = await fsPromise.stat(destFile1Path);
+
+            // 备份时原文件保留在原位置，之后才被临时文件覆盖
+            await PromiseTextFile.write(path.join(tempDir1, 'test1.txt'), 'foo');
+            await PromiseFolderSync.sync(tempDir1, tempDir2, { backupSuffix: '~' });
+
+            let backupStats = await fsPromise.stat(destFile1Path + '~');
+            assert.equal(backupStats.ino, originalStats.ino);
+            assert.equal(await fsPromise.readFile(destFile1Path, 'utf8'), 'foo');
+
+            // 再次备份时覆盖之前的备份
+            await PromiseTextFile.write(path.join(tempDir1, 'test1.txt'), 'bar');
+            await PromiseFolderSync.sync(tempDir1, tempDir2, { backupSuffix: '~' });
+
+            assert.equal(await fsPromise.readFile(destFile1Path + '~', 'utf8'), 'foo');
+            assert.equal(await fsPromise.readFile(destFile1Path, 'utf8'), 'bar');
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+
+        it('Test backup folders in the same millisecond', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let sourceDir = path.join(tempDir, 'source');
+            let dest1Dir = path.join(tempDir, 'dest1');
+            let dest2Dir = path.join(tempDir, 'dest2');
+            let backupDir = path.join(tempDir, 'backup');
+            await fse.copy(testResourceDir, sourceDir);
+            await fse.copy(testResourceDir, dest1Dir);
+            await fse.copy(testResourceDir, dest2Dir);
+            await PromiseTextFile.write(path.join(sourceDir, 'test1.txt'), 'foo');
+            await PromiseTextFile.write(path.join(dest2Dir, 'test1.txt'), 'bar');
+
+            // 同时开始的两次同步不会使用同一个备份文件夹
+            let [syncReport1, syncReport2] = await Promise.all([
+                PromiseFolderSync.sync(sourceDir, dest1Dir, { backupFolderPath: backupDir }),
+                PromiseFolderSync.sync(sourceDir, dest2Dir, { backupFolderPath: backupDir })
+            ]);
+            assert.notEqual(syncReport1.backupFolderPath, syncReport2.backupFolderPath);
+
+            let originalText1 = await fsPromise.readFile(path.join(testResourceDir, 'test1.txt'), 'utf8');
+            assert.equal(await fsPromise.readFile(path.join(syncReport1.backupFolderPath, 'test1.txt'), 'utf8'), originalText1);
+            assert.equal(await fsPromise.readFile(path.join(syncReport2.backupFolderPath, 'test1.txt'), 'utf8'), 'bar');
+
+            await fse.remove(tempDir);
+        });
+
+        it('Test backup options conflict', async () => {
+            await assert.rejects(PromiseFolderSync.sync(testResourceDir, testResourceDir, {
+                backupFolderPath: '/tmp/backup',
+                backupSuffix: '~'
+            }), TypeError);
+        });
+    });
+
+    describe('Test sync with temp file', () => {
+        it('Test leftover temp files are removed', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+
+            // 模拟之前中断的同步遗留的临时文件
+            let tempFile1Path = path.join(tempDir1, '.test1.txt.0123abcd' + FolderSync.tempFileSuffix);
+            let tempFile2Path = path.join(tempDir1, 'dir1', '.test1-1.txt.89ef4567' + FolderSync.tempFileSuffix);
+            await PromiseTextFile.write(tempFile1Path, 'foo');
+            await PromiseTextFile.write(tempFile2Path, 'bar');
+
+            // 只是以临时文件后缀结尾的文件是普通的文件
+            let userFilePath = path.join(tempDir1, 'notes' + FolderSync.tempFileSuffix);
+            await PromiseTextFile.write(userFilePath, 'notes');
+
+            let syncReport = await PromiseFolderSync.sync(testResourceDir, tempDir1);
+
+            assert(!await PromiseFileUtils.exists(tempFile1Path));
+            assert(!await PromiseFileUtils.exists(tempFile2Path));
+            assert(await PromiseFileUtils.exists(userFilePath));
+
+            // 临时文件不会被当作多余的内容
+            syncReport = await PromiseFolderSync.sync(testResourceDir, tempDir1, true);
+            assert.deepEqual(syncReport.deleted, [{ type: 'file', path: '/notes' + FolderSync.tempFileSuffix }]);
+
+            await fse.remove(tempDir1);
+        });
+
+        it('Test temp files in source are reported', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let sourceDir = path.join(tempDir, 'source');
+            let destDir = path.join(tempDir, 'dest');
+            await fse.copy(testResourceDir, sourceDir);
+
+            let tempFileName = '.test1.txt.0123abcd' + FolderSync.tempFileSuffix;
+            let userFileName = 'notes' + FolderSync.tempFileSuffix;
+            await PromiseTextFile.write(path.join(sourceDir, tempFileName), 'foo');
+            await PromiseTextFile.write(path.join(sourceDir, userFileName), 'notes');
+
+            let syncReport = await PromiseFolderSync.sync(sourceDir, destDir);
+            assert.deepEqual(syncReport.ignored, [{ type: 'file', path: '/' + tempFileName }]);
+            assert(!await PromiseFileUtils.exists(path.join(destDir, tempFileName)));
+            assert(await PromiseFileUtils.exists(path.join(destDir, userFileName)));
+
+            await fse.remove(tempDir);
+        });
+
+        it('Test no temp file left after sync', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+            let { path: tempDir2 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(tempDir1, tempDir2);
+
+            await PromiseTextFile.write(path.join(tempDir1, 'test1.txt'), 'foo');
+            await PromiseFolderSync.sync(tempDir1, tempDir2);
+
+            assert.equal(await fsPromise.readFile(path.join(tempDir2, 'test1.txt'), 'utf8'), 'foo');
+
+            let fileNames = await fsPromise.readdir(tempDir2);
+            assert(!fileNames.some(fileName => fileName.endsWith(FolderSync.tempFileSuffix)));
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+    });
+
+    describe('Test sync with verify', () => {
+        it('Test verify', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+
+            let syncReport1 = await PromiseFolderSync.sync(testResourceDir, tempDir1, {
+                verify: true
+            });
+
+            let createdFilePaths = syncReport1.created
+                .filter(item => item.type === 'file')
+                .map(item => item.path)
+                .sort();
+
+            let verifiedPaths = syncReport1.verified.map(item => item.path).sort();
+            assert(ObjectUtils.arrayEquals(verifiedPaths, createdFilePaths));
+            assert.equal(syncReport1.getTotals().verified, 8);
+
+            // 未使用选项 verify
+            await PromiseTextFile.write(path.join(tempDir1, 'test1.txt'), 'foo');
+            let syncReport2 = await PromiseFolderSync.sync(testResourceDir, tempDir1);
+            assert.equal(syncReport2.overwritten.length, 1);
+            assert.equal(syncReport2.verified.length, 0);
+
+            await fse.remove(tempDir1);
+        });
+
+        it('Test invalid verifyRetries', async () => {
+            await assert.rejects(PromiseFolderSync.sync(testResourceDir, testResourceDir, {
+                verify: true,
+                verifyRetries: -1
+            }), TypeError);
+        });
+
+        it('Test VerifyError', () => {
+            let err = new VerifyError('/foo/bar.txt', 'aaa', 'bbb');
+            assert(err instanceof Error);
+            assert.equal(err.name, 'VerifyError');
+            assert.equal(err.filePath, '/foo/bar.txt');
+            assert(err.message.includes('/foo/bar.txt'));
+        });
+    });
+
+    describe('Test sync with symlinks', () => {
+        // 构建一个含有符号链接的源文件夹：
+        //
+        // - /test1.txt
+        // - /link1.txt -> test1.txt
+        // - /dir1/test1-1.txt
+        // - /dir1/loop1 -> ..
+        // - /external1 -> 源文件夹之外的文件夹
+        let createSourceFolder = async () => {
+            let { path: sourceDir } = await tmpPromise.dir();
+            let { path: externalDir } = await tmpPromise.dir();
+
+            await PromiseTextFile.write(path.join(sourceDir, 'test1.txt'), 'foo');
+            await fse.ensureDir(path.join(sourceDir, 'dir1'));
+            await PromiseTextFile.write(path.join(sourceDir, 'dir1', 'test1-1.txt'), 'bar');
+            await PromiseTextFile.write(path.join(externalDir, 'test2.txt'), 'baz');
+
+            await fsPromise.symlink('test1.txt', path.join(sourceDir, 'link1.txt'));
+            await fsPromise.symlink('..', path.join(sourceDir, 'dir1', 'loop1'));
+            await fsPromise.symlink(externalDir, path.join(sourceDir, 'external1'));
+
+            return { sourceDir, externalDir };
+        };
+
+        it('Test symlinks follow', async () => {
+            let { sourceDir, externalDir } = await createSourceFolder();
+            let { path: tempDir1 } = await tmpPromise.dir();
+
+            let syncReport = await PromiseFolderSync.sync(sourceDir, tempDir1, {
+                symlinks: SymlinkPolicy.follow
+            });
+
+            // 链接被替换为目标的内容
+            let stats1 = await fsPromise.lstat(path.join(tempDir1, 'link1.txt'));
+            assert(stats1.isFile());
+            assert.equal(await fsPromise.readFile(path.join(tempDir1, 'link1.txt'), 'utf8'), 'foo');
+            assert.equal(await fsPromise.readFile(path.join(tempDir1, 'external1', 'test2.txt'), 'utf8'), 'baz');
+
+            // 形成循环的链接被跳过
+            assert(!await PromiseFileUtils.exists(path.join(tempDir1, 'dir1', 'loop1')));
+            assert.equal(syncReport.skippedLinks.length, 1);
+            assert.equal(syncReport.skippedLinks[0].path, '/dir1/loop1');
+            assert.equal(syncReport.skippedLinks[0].reason, 'loop');
+
+            assert.equal(syncReport.externalLinks.length, 1);
+            assert.equal(syncReport.externalLinks[0].path, '/external1');
+
+            await fse.remove(sourceDir);
+            await fse.remove(externalDir);
+            await fse.remove(tempDir1);
+        });
+
+        it('Test symlinks preserve', async () => {
+            let { sourceDir, externalDir } = await createSourceFolder();
+            let { path: tempDir1 } = await tmpPromise.dir();
+
+            let syncReport1 = await PromiseFolderSync.sync(sourceDir, tempDir1, {
+                symlinks: SymlinkPolicy.preserve
+            });
+
+            assert.equal(await fsPromise.readlink(path.join(tempDir1, 'link1.txt')), 'test1.txt');
+            assert.equal(await fsPromise.readlink(path.join(tempDir1, 'dir1', 'loop1')), '..');
+            assert.equal(await fsPromise.readlink(path.join(tempDir1, 'external1')), externalDir);
+
+            let createdLinkPaths = syncReport1.created
+                .filter(item => item.type === 'link')
+                .map(item => item.path)
+                .sort();
+            assert(ObjectUtils.arrayEquals(createdLinkPaths, [
+                '/dir1/loop1',
+                '/external1',
+                '/link1.txt'
+            ]));
+
+            assert.equal(syncReport1.externalLinks.length, 1);
+            assert.equal(syncReport1.externalLinks[0].path, '/external1');
+
+            // 修改链接
+            await fsPromise.unlink(path.join(sourceDir, 'link1.txt'));
+            await fsPromise.symlink('dir1/test1-1.txt', path.join(sourceDir, 'link1.txt'));
+
+            let syncReport2 = await PromiseFolderSync.sync(sourceDir, tempDir1, {
+                symlinks: SymlinkPolicy.preserve
+            });
+
+            assert.equal(await fsPromise.readlink(path.join(tempDir1, 'link1.txt')), 'dir1/test1-1.txt');
+            assert.equal(syncReport2.overwritten.length, 1);
+            assert.equal(syncReport2.overwritten[0].type, 'link');
+            assert.equal(syncReport2.created.length, 0);
+
+            await fse.remove(sourceDir);
+            await fse.remove(externalDir);
+            await fse.remove(tempDir1);
+        });
+
+        it('Test symlinks skip', async () => {
+            let { sourceDir, externalDir } = await createSourceFolder();
+            let { path: tempDir1 } = await tmpPromise.dir();
+
+            // 目标文件夹里跟被跳过的链接同名的内容不会被删除
+            await PromiseTextFile.write(path.join(tempDir1, 'link1.txt'), 'local');
+
+            let syncReport = await PromiseFolderSync.sync(sourceDir, tempDir1, {
+                deleteExtraneous: true,
+                symlinks: SymlinkPolicy.skip
+            });
+
+            assert.equal(await fsPromise.readFile(path.join(tempDir1, 'link1.txt'), 'utf8'), 'local');
+            assert(!await PromiseFileUtils.exists(path.join(tempDir1, 'external1')));
+            assert(!await PromiseFileUtils.exists(path.join(tempDir1, 'dir1', 'loop1')));
+
+            let skippedPaths = syncReport.skippedLinks.map(item => item.path).sort();
+            assert(ObjectUtils.arrayEquals(skippedPaths, [
+                '/dir1/loop1',
+                '/external1',
+                '/link1.txt'
+            ]));
+
+            assert.equal(syncReport.deleted.length, 0);
+
+            await fse.remove(sourceDir);
+            await fse.remove(externalDir);
+            await fse.remove(tempDir1);
+        });
+    });
+
+    describe('Test sync with syncMetadata', () => {
+        it('Test syncMetadata', async () => {
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+            await fsPromise.chmod(path.join(tempDir1, 'test1.txt'), 0o755);
+
+            let { path: tempDir2 } = await tmpPromise.dir();
+            let syncReport1 = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                syncMetadata: true
+            });
+
+            // 新建的内容不会被记录为只更新了元数据
+            assert(syncReport1.metadataUpdated.every(item => item.path === '/'));
+
+            let targetFile1Path = path.join(tempDir2, 'test1.txt');
+            let targetFolder1Path = path.join(tempDir2, 'dir1');
+            let targetStats1 = await fsPromise.stat(targetFile1Path);
+            assert.equal(targetStats1.mode & 0o777, 0o755);
+
+            // 修改目标文件和文件夹的元数据
+            await fsPromise.chmod(targetFile1Path, 0o600);
+            await fsPromise.utimes(targetFile1Path, new Date(2000, 0, 1), new Date(2000, 0, 1));
+            await fsPromise.chmod(targetFolder1Path, 0o700);
+
+            // 不使用选项 syncMetadata 时不会更新元数据
+            let syncReport2 = await PromiseFolderSync.sync(tempDir1, tempDir2);
+            assert.equal(syncReport2.metadataUpdated.length, 0);
+            assert(!syncReport2.hasChanges());
+
+            let syncPlan = await PromiseFolderSync.dryRun(tempDir1, tempDir2, {
+                syncMetadata: true
+            });
+
+            assert(ObjectUtils.arrayEquals(syncPlan.metadataUpdates.map(item => item.path).sort(),
+                ['/dir1', '/test1.txt']));
+
+            let syncReport3 = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                syncMetadata: true
+            });
+
+            assert(ObjectUtils.arrayEquals(syncReport3.metadataUpdated.map(item => item.path).sort(),
+                ['/dir1', '/test1.txt']));
+            assert.equal(syncReport3.overwritten.length, 0);
+            assert(syncReport3.hasChanges());
+
+            let sourceStats1 = await fsPromise.stat(path.join(tempDir1, 'test1.txt'));
+            targetStats1 = await fsPromise.stat(targetFile1Path);
+            assert.equal(targetStats1.mode & 0o777, 0o755);
+            assert.equal(targetStats1.mtime.getTime(), sourceStats1.mtime.getTime());
+
+            let sourceStats2 = await fsPromise.stat(path.join(tempDir1, 'dir1'));
+            let targetStats2 = await fsPromise.stat(targetFolder1Path);
+            assert.equal(targetStats2.mode & 0o777, sourceStats2.mode & 0o777);
+
+            // 再次同步没有任何改变
+            let syncReport4 = await PromiseFolderSync.sync(tempDir1, tempDir2, {
+                syncMetadata: true
+            });
+
+            assert.equal(syncReport4.metadataUpdated.length, 0);
+
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+        });
+    });
+
+    describe('Test sync with continueOnError', () => {
+        // 以 root 身份运行时，不可读的文件仍然可以读取
+        let isRoot = typeof process.getuid === 'function' && process.getuid() === 0;
+
+        it('Test continueOnError', async function () {
+            if (isRoot) {
+                this.skip();
+            }
+
+            let { path: tempDir1 } = await tmpPromise.dir();
+            await PromiseFolderSync.sync(testResourceDir, tempDir1);
+
+            let sourceFile1Path = path.join(tempDir1, 'dir1', 'test1-1.txt');
+            await fsPromise.chmod(sourceFile1Path, 0o000);
+
+            // 默认第一个错误就中止同步
+            let { path: tempDir2 } = await tmpPromise.dir();
+            await assert.rejects(PromiseFolderSync.sync(tempDir1, tempDir2), (err) => {
+                return !(err instanceof SyncError);
+            });
+
+            let { path: tempDir3 } = await tmpPromise.dir();
+            let failedPaths = [];
+
+            await assert.rejects(PromiseFolderSync.sync(tempDir1, tempDir3, {
+                continueOnError: true,
+                hooks: {
+                    'entry-failed': ({ path }) => {
+                        failedPaths.push(path);
+                    }
+                }
+            }), (err) => {
+                assert(err instanceof SyncError);
+                assert.equal(err.failures.length, 1);
+                assert.equal(err.failures[0].path, '/dir1/test1-1.txt');
+                assert(err.failures[0].error instanceof Error);
+
+                // 其余的文件都同步了
+                let syncReport = err.syncResult;
+                assert.equal(syncReport.getTotals().failed, 1);
+                assert.equal(syncReport.created.filter(item => item.type === 'file').length, 7);
+                return true;
+            });
+
+            assert(ObjectUtils.arrayEquals(failedPaths, ['/dir1/test1-1.txt']));
+            assert(await PromiseFileUtils.exists(path.join(tempDir3, 'dir1', 'test1-2.md')));
+
+            await fsPromise.chmod(sourceFile1Path, 0o644);
+            await fse.remove(tempDir1);
+            await fse.remove(tempDir2);
+            await fse.remove(tempDir3);
+        });
+
+        it('Test SyncError', () => {
+            let failures = [{ path: '/foo/bar.txt', error: new Error('baz') }];
+            let err = new SyncError(failures, undefined);
+            assert(err instanceof Error);
+            assert.equal(err.name, 'SyncError');
+            assert.equal(err.failures, failures);
+            assert(err.message.includes('/foo/bar.txt'));
+        });
+    });
+
+    describe('Test two-way sync', () => {
+        let prepareFolders = async () => {
+            let { path: sourceDir } = await tmpPromise.dir();
+            let { path: destDir } = await tmpPromise.dir();
+            await fse.copy(testResourceDir, sourceDir);
+            await PromiseFolderSync.twoWaySync(sourceDir, destDir);
+            return { sourceDir, destDir };
+        };
+
+        it('Test first two-way sync', async () => {
+            let { path: sourceDir } = await tmpPromise.dir();
+            let { path: tempDir } = await tmpPromise.dir();
+            let destDir = path.join(tempDir, 'dest');
+            await fse.copy(testResourceDir, sourceDir);
+
+            let report = await PromiseFolderSync.twoWaySync(sourceDir, destDir);
+            assert.equal(report.copiedToDest.filter(item => item.type === 'file').length, 8);
+            assert.equal(report.copiedToDest.filter(item => item.type === 'folder').length, 3);
+            assert(await PromiseFileUtils.exists(path.join(destDir, 'dir1', 'dir3', 'test1-1-1.txt')));
+
+            // 状态文件默认保存在源文件夹，且不会被同步
+            assert(await PromiseFileUtils.exists(path.join(sourceDir, '.jsfoldersync-state.json')));
+            assert(!await PromiseFileUtils.exists(path.join(destDir, '.jsfoldersync-state.json')));
+
+            let report2 = await PromiseFolderSync.twoWaySync(sourceDir, destDir);
+            assert(!report2.hasChanges());
+            assert.equal(report2.getTotals().unchanged, 8);
+
+            await fse.remove(sourceDir);
+            await fse.remove(tempDir);
+        });
+
+        it('Test propagate changes both ways', async () => {
+            let { sourceDir, destDir } = await prepareFolders();
+
+            await fsPromise.writeFile(path.join(sourceDir, 'new-source.txt'), 'from source');
+            await fsPromise.writeFile(path.join(destDir, 'dir2', 'new-dest.txt'), 'from dest');
+            await fsPromise.writeFile(path.join(destDir, 'test1.txt'), 'changed in dest');
+            await fse.remove(path.join(sourceDir, 'test3.md'));
+            await fse.remove(path.join(destDir, 'dir1', 'dir3'));
+
+            let report = await PromiseFolderSync.twoWaySync(sourceDir, destDir);
+
+            assert(ObjectUtils.arrayEquals(report.copiedToDest.map(item => item.path), ['/new-source.txt']));
+            assert(ObjectUtils.arrayEquals(report.copiedToSource.map(item => item.path).sort(),
+                ['/dir2/new-dest.txt', '/test1.txt']));
+            assert(ObjectUtils.arrayEquals(report.deletedFromDest.map(item => item.path), ['/test3.md']));
+            assert(report.deletedFromSource.some(item => item.type === 'folder' && item.path === '/dir1/dir3'));
+            assert.equal(report.conflicts.length, 0);
+
+            assert.equal(await fsPromise.readFile(path.join(sourceDir, 'test1.txt'), 'utf8'), 'changed in dest');
+            assert(await PromiseFileUtils.exists(path.join(destDir, 'new-source.txt')));
+            assert(await PromiseFileUtils.exists(path.join(sourceDir, 'dir2', 'new-dest.txt')));
+            assert(!await PromiseFileUtils.exists(path.join(destDir, 'test3.md')));
+            assert(!await PromiseFileUtils.exists(path.join(sourceDir, 'dir1', 'dir3')));
+
+            let report2 = await PromiseFolderSync.twoWaySync(sourceDir, destDir);
+            assert(!report2.hasChanges());
+
+            await fse.remove(sourceDir);
+            await fse.remove(destDir);
+        });
+
+        it('Test conflict resolution', async () => {
+            let writeConflict = async (sourceDir, destDir) => {
+                let sourceFilePath = path.join(sourceDir, 'test2.txt');
+                let destFilePath = path.join(destDir, 'test2.txt');
+                await fsPromise.writeFile(sourceFilePath, 'source version');
+                await fsPromise.writeFile(destFilePath, 'dest version');
+
+                // 目标文件夹一边的修改较新
+                await fsPromise.utimes(sourceFilePath, new Date(2020, 0, 1), new Date(2020, 0, 1));
+                await fsPromise.utimes(destFilePath, new Date(2021, 0, 1), new Date(2021, 0, 1));
+            };
+
+            // newer
+            let { sourceDir, destDir } = await prepareFolders();
+            await writeConflict(sourceDir, destDir);
+
+            let report = await PromiseFolderSync.twoWaySync(sourceDir, destDir);
+            assert.deepEqual(report.conflicts, [{ type: 'file', path: '/test2.txt', resolution: 'dest' }]);
+            assert.equal(await fsPromise.readFile(path.join(sourceDir, 'test2.txt'), 'utf8'), 'dest version');
+
+            await fse.remove(sourceDir);
+            await fse.remove(destDir);
+
+            // source
+            ({ sourceDir, destDir } = await prepareFolders());
+            await writeConflict(sourceDir, destDir);
+
+            report = await PromiseFolderSync.twoWaySync(sourceDir, destDir, {
+                conflictResolution: ConflictResolution.source
+            });
+            assert.equal(report.conflicts[0].resolution, 'source');
+            assert.equal(await fsPromise.readFile(path.join(destDir, 'test2.txt'), 'utf8'), 'source version');
+
+            await fse.remove(sourceDir);
+            await fse.remove(destDir);
+
+            // keep-both
+            ({ sourceDir, destDir } = await prepareFolders());
+            await writeConflict(sourceDir, destDir);
+
+            report = await PromiseFolderSync.twoWaySync(sourceDir, destDir, {
+                conflictResolution: ConflictResolution.keepBoth
+            });
+            assert.deepEqual(report.conflicts, [{
+                type: 'file', path: '/test2.txt', resolution: 'keep-both', conflictPath: '/test2.conflict.txt'
+            }]);
+
+            for (let dir of [sourceDir, destDir]) {
+                assert.equal(await fsPromise.readFile(path.join(dir, 'test2.txt'), 'utf8'), 'source version');
+                assert.equal(await fsPromise.readFile(path.join(dir, 'test2.conflict.txt'), 'utf8'), 'dest version');
+            }
+
+            let report2 = await PromiseFolderSync.twoWaySync(sourceDir, destDir);
+            assert(!report2.hasChanges());
+
+            await fse.remove(sourceDir);
+            await fse.remove(destDir);
+        });
+
+        it('Test folder removal keeps unsynced content', async () => {
+            let { sourceDir, destDir } = await prepareFolders();
+            let options = { ignoreFileGlobs: ['*.log'] };
+
+            await fsPromise.writeFile(path.join(sourceDir, 'dir2', 'debug.log'), 'ignored');
+            await fse.remove(path.join(destDir, 'dir2'));
+            await fse.remove(path.join(destDir, 'dir1'));
+
+            let report = await PromiseFolderSync.twoWaySync(sourceDir, destDir, Object.assign({ dryRun: true }, options));
+            assert.deepEqual(report.conflicts, [{ type: 'folder', path: '/dir2', resolution: 'unresolved' }]);
+            assert(await PromiseFileUtils.exists(path.join(sourceDir, 'dir2', 'test2-1.txt')));
+
+            report = await PromiseFolderSync.twoWaySync(sourceDir, destDir, options);
+            assert.deepEqual(report.conflicts, [{ type: 'folder', path: '/dir2', resolution: 'unresolved' }]);
+            assert(ObjectUtils.arrayEquals(report.deletedFromSource.filter(item => item.type === 'folder').map(item => item.path),
+                ['/dir1/dir3', '/dir1']));
+
+            // 被忽略的文件以及其所在的文件夹被保留，已经同步的文件则被删除
+            assert.equal(await fsPromise.readFile(path.join(sourceDir, 'dir2', 'debug.log'), 'utf8'), 'ignored');
+            assert(!await PromiseFileUtils.exists(path.join(sourceDir, 'dir2', 'test2-1.txt')));
+            assert(!await PromiseFileUtils.exists(path.join(sourceDir, 'dir1')));
+
+            await fse.remove(sourceDir);
+            await fse.remove(destDir);
+        });
+
+        it('Test keep-both with existing conflict file', async () => {
+            let { sourceDir, destDir } = await prepareFolders();
+            let options = { conflictResolution: ConflictResolution.keepBoth };
+
+            for (let version of ['1', '2']) {
+                await fsPromise.writeFile(path.join(sourceDir, 'test2.txt'), 'source version ' + version);
+                await fsPromise.writeFile(path.join(destDir, 'test2.txt'), 'dest version ' + version);
+                await PromiseFolderSync.twoWaySync(sourceDir, destDir, options);
+            }
+
+            for (let dir of [sourceDir, destDir]) {
+                assert.equal(await fsPromise.readFile(path.join(dir, 'test2.txt'), 'utf8'), 'source version 2');
+                assert.equal(await fsPromise.readFile(path.join(dir, 'test2.conflict.txt'), 'utf8'), 'dest version 1');
+                assert.equal(await fsPromise.readFile(path.join(dir, 'test2.conflict-2.txt'), 'utf8'), 'dest version 2');
+            }
+
+            await fse.remove(sourceDir);
+            await fse.remove(destDir);
+        });
+
+        it('Test two-way sync with dryRun', async () => {
+            let { sourceDir, destDir } = await prepareFolders();
+
+            await fsPromise.writeFile(path.join(destDir, 'new-dest.txt'), 'from dest');
+            await fse.remove(path.join(sourceDir, 'test3.md'));
+
+            let stateFilePath = path.join(sourceDir, '.jsfoldersync-state.json');
+            let stateBefore = await fsPromise.readFile(stateFilePath, 'utf8');
+
+            let report = await PromiseFolderSync.twoWaySync(sourceDir, destDir, { dryRun: true });
+            assert.equal(report.copiedToSource.length, 1);
+            assert.equal(report.deletedFromDest.length, 1);
+
+            assert(!await PromiseFileUtils.exists(path.join(sourceDir, 'new-dest.txt')));
+            assert(await PromiseFileUtils.exists(path.join(destDir, 'test3.md')));
+            assert.equal(await fsPromise.readFile(stateFilePath, 'utf8'), stateBefore);
+
+            await fse.remove(sourceDir);
+            await fse.remove(destDir);
+        });
+
+        it('Test two-way sync options', (done) => {
+            TwoWayFolderSync.sync(testResourceDir, testResourceDir, { conflictResolution: 'foo' }, (err) => {
+                assert(err instanceof TypeError);
+                done();
+            });
+        });
+    });
+
+    describe('Test watch', () => {
+        // 等待直到 predicate 返回 true，fs.watch 的事件有延迟，所以需要轮询
+        let waitFor = async (predicate) => {
+            for (let idx = 0; idx < 100; idx++) {
+                if (await predicate()) {
+                    return;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+
+            throw new Error('Timeout');
+        };
+
+        // Linux 上低于 19.1 的 Node.js 不支持递归监视
+        let isRecursiveWatchSupported = (() => {
+            try {
+                fse.watch(testDir, { recursive: true }).close();
+                return true;
+            } catch (err) {
+                return err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM';
+            }
+        })();
+
+        it('Test watch', async function () {
+            if (!isRecursiveWatchSupported) {
+                this.skip();
+            }
+
+            let { path: sourceDir } = await tmpPromise.dir();
+            let { path: destDir } = await tmpPromise.dir();
+            await fse.copy(testResourceDir, sourceDir);
+
+            let changedPaths = [];
+            let copiedPaths = [];
+
+            let watcher = WatchFolderSync.watch(sourceDir, destDir, {
+                deleteExtraneous: true,
+                ignoreFileGlobs: ['*.log'],
+                debounce: 50,
+                hooks: {
+                    'file-copied': ({ path }) => {
+                        copiedPaths.push(path);
+                    }
+                }
+            });
+
+            watcher.on('change', ({ paths }) => {
+                changedPaths.push(...paths);
+            });
+
+            // 断言失败或者等待超时时也要停止监视，否则 mocha 不会退出
+            try {
+                let syncReport = await new Promise((resolve, reject) => {
+                    watcher.on('ready', resolve);
+                    watcher.on('error', reject);
+                });
+
+                assert.equal(syncReport.getTotals().created, 11);
+                copiedPaths = [];
+
+                await fsPromise.writeFile(path.join(sourceDir, 'dir1', 'new.txt'), 'new');
+                await fsPromise.writeFile(path.join(sourceDir, 'test1.txt'), 'changed');
+                await fsPromise.writeFile(path.join(sourceDir, 'ignored.log'), 'ignored');
+                await fse.remove(path.join(sourceDir, 'dir2'));
+
+                await waitFor(async () => {
+                    return await PromiseFileUtils.exists(path.join(destDir, 'dir1', 'new.txt')) &&
+                        !await PromiseFileUtils.exists(path.join(destDir, 'dir2')) &&
+                        await fsPromise.readFile(path.join(destDir, 'test1.txt'), 'utf8') === 'changed';
+                });
+
+                // 只有改变了的文件被同步
+                assert(ObjectUtils.arrayEquals(copiedPaths.sort(), ['/dir1/new.txt', '/test1.txt']));
+                assert(!changedPaths.includes('/ignored.log'));
+                assert(!await PromiseFileUtils.exists(path.join(destDir, 'ignored.log')));
+            } finally {
+                await new Promise(resolve => watcher.stop(resolve));
+            }
+
+            await fsPromise.writeFile(path.join(sourceDir, 'test2.txt'), 'after stop');
+            await new Promise(resolve => setTimeout(resolve, 200));
+            assert.notEqual(await fsPromise.readFile(path.join(destDir, 'test2.txt'), 'utf8'), 'after stop');
+
+            await fse.remove(sourceDir);
+            await fse.remove(destDir);
+        });
+
+        it('Test watch unavailable', function (done) {
+            if (isRecursiveWatchSupported) {
+                this.skip();
+            }
+
+            let watcher = WatchFolderSync.watch(testResourceDir, testResourceDir);
+            watcher.on('error', (err) => {
+                assert.equal(err.code, 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM');
+                assert(err.message.includes('19.1'));
+                done();
+            });
+        });
+
+        it('Test watch options', (done) => {
+            let watcher = WatchFolderSync.watch(testResourceDir, testResourceDir, { debounce: -1 });
+            watcher.on('error', (err) => {
+                assert(err instanceof TypeError);
+                done();
+            });
+        });
+    });
+
+    describe('Test command line', () => {
+        let runCommand = (args) => {
+            let output = { stdout: '', stderr: '' };
+            let stdout = { write: (text) => { output.stdout += text; } };
+            let stderr = { write: (text) => { output.stderr += text; } };
+
+            return new Promise((resolve) => {
+                CommandLine.run(args, stdout, stderr, (exitCode) => {
+                    output.exitCode = exitCode;
+                    resolve(output);
+                });
+            });
+        };
+
+        it('Test parseArguments', () => {
+            let { sourceFolderPath, destFolderPath, options, isVerbose } = CommandLine.parseArguments(
+                ['-d', '-i', '*.md', '--ignore', 'dir2', '--ignore-file', '.syncignore', '-v', 'src', 'dest']);
+
+            assert.equal(sourceFolderPath, 'src');
+            assert.equal(destFolderPath, 'dest');
+            assert.equal(options.deleteExtraneous, true);
+            assert(ObjectUtils.arrayEquals(options.ignoreFileGlobs, ['*.md', 'dir2']));
+            assert.equal(options.ignoreFileName, '.syncignore');
+            assert.equal(options.dryRun, false);
+            assert.equal(isVerbose, true);
+
+            assert.throws(() => { CommandLine.parseArguments(['src']); }, TypeError);
+            assert.throws(() => { CommandLine.parseArguments(['--foo', 'src', 'dest']); }, TypeError);
+            assert.throws(() => { CommandLine.parseArguments(['src', 'dest', '-i']); }, TypeError);
+        });
+
+        it('Test run', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+
+            let output = await runCommand(['--dry-run', '-v', '--exit-code', testResourceDir, tempDir]);
+            assert.equal(output.exitCode, CommandLine.exitCode.changed);
+            assert(output.stdout.includes('+ /dir1/test1-1.txt\n'));
+            assert(output.stdout.includes('(dry run) 11 created'));
+            assert(!await PromiseFileUtils.exists(path.join(tempDir, 'test1.txt')));
+
+            // 默认情况下同步成功即以 0 退出，不管目标文件夹是否有改变
+            output = await runCommand(['-i', '*.md', testResourceDir, tempDir]);
+            assert.equal(output.exitCode, CommandLine.exitCode.success);
+            assert(output.stdout.startsWith('9 created, 0 overwritten, 0 deleted'));
+            assert(!await PromiseFileUtils.exists(path.join(tempDir, 'test3.md')));
+
+            output = await runCommand(['-i', '*.md', '--exit-code', testResourceDir, tempDir]);
+            assert.equal(output.exitCode, CommandLine.exitCode.success);
+
+            output = await runCommand([path.join(tempDir, 'not-exists'), tempDir]);
+            assert.equal(output.exitCode, CommandLine.exitCode.error);
+            assert(output.stderr.startsWith('jsfoldersync: '));
+
+            output = await runCommand(['--help']);
+            assert.equal(output.exitCode, CommandLine.exitCode.success);
+            assert(output.stdout.startsWith('Usage: '));
+
+            await fse.remove(tempDir);
+        });
+    });
+
+    describe('Test sync jobs', () => {
+        let writeConfig = async (tempDir) => {
+            let config = {
+                jobs: {
+                    all: {
+                        source: testResourceDir,
+                        dest: './all'
+                    },
+                    text: {
+                        source: testResourceDir,
+                        dest: './text',
+                        ignoreFileGlobs: ['*.md']
+                    }
+                }
+            };
+
+            let configFilePath = path.join(tempDir, 'jobs.json');
+            await fse.writeJson(configFilePath, config);
+            return configFilePath;
+        };
+
+        it('Test run jobs', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let configFilePath = await writeConfig(tempDir);
+
+            let jobResults = await PromiseFolderSync.runJobs(configFilePath);
+            assert(ObjectUtils.arrayEquals(jobResults.map(item => item.name), ['all', 'text']));
+            assert.equal(jobResults[0].syncResult.getTotals().created, 11);
+            assert.equal(jobResults[1].syncResult.getTotals().created, 9);
+
+            // 相对路径是相对于配置文件所在的文件夹
+            assert(await PromiseFileUtils.exists(path.join(tempDir, 'all', 'test3.md')));
+            assert(!await PromiseFileUtils.exists(path.join(tempDir, 'text', 'test3.md')));
+
+            await fse.remove(path.join(tempDir, 'text'));
+
+            jobResults = await PromiseFolderSync.runJobs(configFilePath, ['text'], { dryRun: true });
+            assert.equal(jobResults.length, 1);
+            assert.equal(jobResults[0].syncResult.creates.length, 9);
+            assert(!await PromiseFileUtils.exists(path.join(tempDir, 'text')));
+
+            await assert.rejects(PromiseFolderSync.runJobs(configFilePath, ['foo']), TypeError);
+
+            await fse.remove(tempDir);
+        });
+
+        it('Test load JavaScript config', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let configFilePath = path.join(tempDir, 'jobs.js');
+
+            let loadJobNames = async () => {
+                let jobs = await new Promise((resolve, reject) => {
+                    SyncJobs.load(configFilePath, (err, jobs) => {
+                        err ? reject(err) : resolve(jobs);
+                    });
+                });
+
+                return jobs.map(job => job.name);
+            };
+
+            await fsPromise.writeFile(configFilePath,
+                'module.exports = { jobs: { foo: { source: "a", dest: "b" } } };');
+            assert(ObjectUtils.arrayEquals(await loadJobNames(), ['foo']));
+
+            // 再次读取时得到修改之后的配置
+            await fsPromise.writeFile(configFilePath,
+                'module.exports = { jobs: { bar: { source: "a", dest: "b" } } };');
+            assert(ObjectUtils.arrayEquals(await loadJobNames(), ['bar']));
+
+            await fse.remove(tempDir);
+        });
+
+        it('Test job path options', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let { path: otherDir } = await tmpPromise.dir();
+            let sourceDir = path.join(tempDir, 'source');
+            await fse.copy(testResourceDir, sourceDir);
+
+            let configFilePath = path.join(tempDir, 'jobs.json');
+            await fse.writeJson(configFilePath, {
+                jobs: {
+                    foo: {
+                        source: './source',
+                        dest: './dest',
+                        backupFolderPath: './backup',
+                        manifest: 'manifest.json'
+                    }
+                }
+            });
+
+            // 路径类的选项相对于配置文件所在的文件夹，而不是当前工作目录
+            let cwd = process.cwd();
+            process.chdir(otherDir);
+
+            try {
+                await PromiseFolderSync.runJobs(configFilePath);
+                await PromiseTextFile.write(path.join(sourceDir, 'test1.txt'), 'foo');
+                let jobResults = await PromiseFolderSync.runJobs(configFilePath);
+
+                let { backupFolderPath } = jobResults[0].syncResult;
+                assert.equal(path.dirname(backupFolderPath), path.join(tempDir, 'backup'));
+                assert(await PromiseFileUtils.exists(path.join(backupFolderPath, 'test1.txt')));
+                assert(await PromiseFileUtils.exists(path.join(tempDir, 'manifest.json')));
+                assert.deepEqual(await fsPromise.readdir(otherDir), []);
+            } finally {
+                process.chdir(cwd);
+            }
+
+            await fse.remove(tempDir);
+            await fse.remove(otherDir);
+        });
+
+        it('Test parse jobs', () => {
+            let jobs = SyncJobs.parse({ jobs: { foo: { source: 'a', dest: 'b', deleteExtraneous: true } } }, '/base');
+            assert.deepEqual(jobs, [{
+                name: 'foo',
+                sourceFolderPath: '/base/a',
+                destFolderPath: '/base/b',
+                options: { deleteExtraneous: true }
+            }]);
+
+            jobs = SyncJobs.parse({ jobs: { foo: { source: 'a', dest: 'b', linkDest: '../c', manifest: true } } }, '/base');
+            assert.deepEqual(jobs[0].options, { linkDest: '/c', manifest: true });
+
+            assert.throws(() => { SyncJobs.parse({}, '/base'); }, TypeError);
+            assert.throws(() => { SyncJobs.parse({ jobs: { foo: { source: 'a' } } }, '/base'); }, TypeError);
+            assert.throws(() => { SyncJobs.parse({ jobs: { foo: { source: 'a', dest: 'b', bar: 1 } } }, '/base'); }, TypeError);
+        });
+
+        it('Test run jobs from command line', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let configFilePath = await writeConfig(tempDir);
+
+            let stdout = '';
+            let exitCode = await new Promise((resolve) => {
+                CommandLine.run(['--config', configFilePath, '--exit-code', 'text'],
+                    { write: (text) => { stdout += text; } },
+                    { write: () => {} }, resolve);
+            });
+
+            assert.equal(exitCode, CommandLine.exitCode.changed);
+            assert.equal(stdout, '[text] 9 created, 0 overwritten, 0 deleted\n');
+            assert(!await PromiseFileUtils.exists(path.join(tempDir, 'all')));
+
+            assert.throws(() => { CommandLine.parseArguments(['-c', configFilePath, '-d']); }, TypeError);
+
+            await fse.remove(tempDir);
+        });
+    });
+
+    describe('Test compare', () => {
+        it('Test compare', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            await fse.copy(testResourceDir, tempDir);
+
+            let compareResult = await PromiseFolderSync.compare(testResourceDir, tempDir);
+            assert(compareResult.isIdentical());
+            assert.equal(compareResult.identical.length, 8);
+
+            await fsPromise.writeFile(path.join(tempDir, 'test1.txt'), 'changed');
+            await fse.remove(path.join(tempDir, 'dir2'));
+            await fsPromise.writeFile(path.join(tempDir, 'dir2'), 'file instead of folder');
+            await fse.remove(path.join(tempDir, 'dir1', 'dir3'));
+            await fsPromise.writeFile(path.join(tempDir, 'extra.txt'), 'extra');
+
+            compareResult = await PromiseFolderSync.compare(testResourceDir, tempDir, {
+                ignoreFileGlobs: ['*.md']
+            });
+
+            assert(!compareResult.isIdentical());
+            assert.deepEqual(compareResult.different, [{ type: 'file', path: '/test1.txt' }]);
+            assert.deepEqual(compareResult.onlyInDest, [{ type: 'file', path: '/extra.txt' }]);
+            assert.deepEqual(compareResult.typeMismatched, [{ path: '/dir2', sourceType: 'folder', destType: 'file' }]);
+            assert(ObjectUtils.arrayEquals(compareResult.onlyInSource.map(item => item.path).sort(), [
+                '/dir1/dir3', '/dir1/dir3/test1-1-1.txt', '/dir1/dir3/test1-1-2.txt', '/dir2/test2-1.txt']));
+            assert(ObjectUtils.arrayEquals(compareResult.identical.map(item => item.path), ['/test2.txt', '/dir1/test1-1.txt']));
+
+            // 两个文件夹都没有改变
+            assert.equal(await fsPromise.readFile(path.join(tempDir, 'test1.txt'), 'utf8'), 'changed');
+            assert(await PromiseFileUtils.exists(path.join(tempDir, 'extra.txt')));
+            assert(!await PromiseFileUtils.exists(path.join(tempDir, 'dir1', 'dir3')));
+
+            await assert.rejects(PromiseFolderSync.compare(testResourceDir, tempDir, { deleteExtraneous: true }), TypeError);
+
+            await fse.remove(tempDir);
+        });
+    });
+
+    describe('Test sync with detectMoves', () => {
+        it('Test detectMoves', async () => {
+            let { path: sourceDir } = await tmpPromise.dir();
+            let { path: destDir } = await tmpPromise.dir();
+            await fse.copy(testResourceDir, sourceDir);
+            await PromiseFolderSync.sync(sourceDir, destDir);
+
+            // 跨文件夹移动，以及重命名
+            await fse.move(path.join(sourceDir, 'dir1', 'dir3', 'test1-1-1.txt'), path.join(sourceDir, 'dir2', 'moved.txt'));
+            await fse.remove(path.join(sourceDir, 'dir1', 'dir3'));
+            await fse.move(path.join(sourceDir, 'test1.txt'), path.join(sourceDir, 'renamed.txt'));
+
+            let options = { deleteExtraneous: true, detectMoves: true };
+
+            let syncPlan = await PromiseFolderSync.dryRun(sourceDir, destDir, options);
+            assert.deepEqual(syncPlan.moves.sort((a, b) => a.path.localeCompare(b.path)), [
+                { type: 'file', path: '/dir2/moved.txt', from: '/dir1/dir3/test1-1-1.txt' },
+                { type: 'file', path: '/renamed.txt', from: '/test1.txt' }
+            ]);
+            assert.equal(syncPlan.creates.length, 0);
+            assert.deepEqual(syncPlan.deletes, [{ type: 'folder', path: '/dir1/dir3' }]);
+
+            let movedPaths = [];
+            let syncReport = await PromiseFolderSync.sync(sourceDir, destDir, Object.assign({
+                hooks: {
+                    'file-moved': ({ path }) => {
+                        movedPaths.push(path);
+                    }
+                }
+            }, options));
+
+            assert.equal(syncReport.getTotals().moved, 2);
+            assert(ObjectUtils.arrayEquals(movedPaths.sort(), ['/dir2/moved.txt', '/renamed.txt']));
+            assert.equal(syncReport.created.length, 0);
+            assert.equal(syncReport.bytesCopied, 0);
+            assert.deepEqual(syncReport.deleted, [{ type: 'folder', path: '/dir1/dir3' }]);
+
+            assert((await PromiseFolderSync.compare(sourceDir, destDir)).isIdentical());
+
+            // 文件被移动到跟它同名的新文件夹里，新位置在同步之前仍然被原来的文件占用
+            await fse.move(path.join(sourceDir, 'renamed.txt'), path.join(sourceDir, 'renamed.tmp'));
+            await fse.move(path.join(sourceDir, 'renamed.tmp'), path.join(sourceDir, 'renamed.txt', 'renamed.txt'));
+
+            syncReport = await PromiseFolderSync.sync(sourceDir, destDir, options);
+            assert.equal(syncReport.getTotals().moved, 0);
+            assert((await PromiseFolderSync.compare(sourceDir, destDir)).isIdentical());
+
+            await fse.remove(sourceDir);
+            await fse.remove(destDir);
+        });
+
+        it('Test detectMoves hashes unchanged files once', async () => {
+            let { path: sourceDir } = await tmpPromise.dir();
+            let { path: destDir } = await tmpPromise.dir();
+            await fse.copy(testResourceDir, sourceDir);
+            await PromiseFolderSync.sync(sourceDir, destDir);
+
+            let hashFile = FolderSync._hashFile;
+            let hashCount = 0;
+
+            FolderSync._hashFile = (...args) => {
+                hashCount++;
+                hashFile(...args);
+            };
+
+            try {
+                await PromiseFolderSync.sync(sourceDir, destDir, { deleteExtraneous: true });
+                let plainHashCount = hashCount;
+                assert(plainHashCount > 0);
+
+                // 检测移动时的模拟同步跟实际同步不会重复计算没有改变的文件的散列值
+                hashCount = 0;
+                let syncReport = await PromiseFolderSync.sync(sourceDir, destDir, { deleteExtraneous: true, detectMoves: true });
+                assert.equal(syncReport.getTotals().moved, 0);
+                assert.equal(hashCount, plainHashCount);
+            } finally {
+                FolderSync._hashFile = hashFile;
+            }
+
+            await fse.remove(sourceDir);
+            await fse.remove(destDir);
+        });
+    });
+
+    describe('Test sync with linkDest', () => {
+        it('Test linkDest', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let snapshot1Dir = path.join(tempDir, 'snapshot1');
+            let snapshot2Dir = path.join(tempDir, 'snapshot2');
+            let snapshot3Dir = path.join(tempDir, 'snapshot3');
+            let sourceDir = path.join(tempDir, 'source');
+
+            await fse.copy(testResourceDir, sourceDir);
+            await PromiseFolderSync.sync(sourceDir, snapshot1Dir);
+
+            await fsPromise.writeFile(path.join(sourceDir, 'test1.txt'), 'changed');
+
+            // 内容一致但权限或者修改时间改变了的文件不会被链接
+            await fsPromise.chmod(path.join(sourceDir, 'test3.md'), 0o600);
+            await fsPromise.utimes(path.join(sourceDir, 'dir2', 'test2-1.txt'), new Date(2020, 0, 1), new Date(2020, 0, 1));
+
+            let syncReport = await PromiseFolderSync.sync(sourceDir, snapshot2Dir, { linkDest: snapshot1Dir });
+            assert.equal(syncReport.getTotals().linked, 5);
+            assert(ObjectUtils.arrayEquals(syncReport.created.filter(item => item.type === 'file').map(item => item.path).sort(),
+                ['/dir2/test2-1.txt', '/test1.txt', '/test3.md']));
+            assert.equal((await fsPromise.stat(path.join(snapshot2Dir, 'test3.md'))).mode & 0o777, 0o600);
+            assert.equal((await fsPromise.stat(path.join(snapshot1Dir, 'test3.md'))).mode & 0o777,
+                (await fsPromise.stat(path.join(testResourceDir, 'test3.md'))).mode & 0o777);
+            assert.equal((await fsPromise.stat(path.join(snapshot2Dir, 'dir2', 'test2-1.txt'))).mtime.getTime(),
+                new Date(2020, 0, 1).getTime());
+
+            // 硬链接跟上一个快照里的文件是同一个文件
+            let stats1 = await fsPromise.stat(path.join(snapshot1Dir, 'test2.txt'));
+            let stats2 = await fsPromise.stat(path.join(snapshot2Dir, 'test2.txt'));
+            assert.equal(stats1.ino, stats2.ino);
+            assert.notEqual((await fsPromise.stat(path.join(snapshot2Dir, 'test1.txt'))).ino,
+                (await fsPromise.stat(path.join(snapshot1Dir, 'test1.txt'))).ino);
+
+            syncReport = await PromiseFolderSync.sync(sourceDir, snapshot3Dir, {
+                linkDest: snapshot2Dir,
+                linkMode: LinkMode.reflink
+            });
+            assert.equal(syncReport.getTotals().linked, 8);
+
+            let stats3 = await fsPromise.stat(path.join(snapshot3Dir, 'test2.txt'));
+            assert.notEqual(stats3.ino, stats2.ino);
+            assert.equal(stats3.mtime.getTime(), stats2.mtime.getTime());
+            assert((await PromiseFolderSync.compare(sourceDir, snapshot3Dir)).isIdentical());
+
+            await fse.remove(tempDir);
+        });
+
+        it('Test snapshot', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let snapshotsDir = path.join(tempDir, 'snapshots');
+            let sourceDir = path.join(tempDir, 'source');
+            await fse.copy(testResourceDir, sourceDir);
+
+            let { snapshotFolderPath: snapshot1Dir, syncResult } = await PromiseFolderSync.snapshot(sourceDir, snapshotsDir);
+            assert.equal(syncResult.getTotals().linked, 0);
+            assert(await PromiseFileUtils.exists(path.join(snapshot1Dir, 'dir1', 'dir3', 'test1-1-1.txt')));
+
+            // 遗留的未完成快照会被删除
+            let partialDir = path.join(snapshotsDir, '2000-01-01T00-00-00-000Z-2.partial');
+            await fse.ensureDir(partialDir);
+
+            await new Promise(resolve => setTimeout(resolve, 5));
+            let { snapshotFolderPath: snapshot2Dir, syncResult: syncResult2 } = await PromiseFolderSync.snapshot(sourceDir, snapshotsDir);
+            assert.equal(syncResult2.getTotals().linked, 8);
+            assert(!await PromiseFileUtils.exists(partialDir));
+
+            await new Promise(resolve => setTimeout(resolve, 5));
+            let { snapshotFolderPath: snapshot3Dir, prunedFolderPaths } = await PromiseFolderSync.snapshot(sourceDir, snapshotsDir, { keep: 2 });
+            assert(ObjectUtils.arrayEquals(prunedFolderPaths, [snapshot1Dir]));
+
+            let snapshotFolderPaths = await new Promise((resolve, reject) => {
+                SnapshotSync.list(snapshotsDir, (err, snapshotFolderPaths) => {
+                    err ? reject(err) : resolve(snapshotFolderPaths);
+                });
+            });
+            assert(ObjectUtils.arrayEquals(snapshotFolderPaths, [snapshot2Dir, snapshot3Dir]));
+
+            await assert.rejects(PromiseFolderSync.snapshot(sourceDir, snapshotsDir, { linkDest: snapshot2Dir }), TypeError);
+
+            await fse.remove(tempDir);
+        });
+    });
+
+    describe('Test sync with deltaUpdate', () => {
+        it('Test deltaUpdate', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let sourceDir = path.join(tempDir, 'source');
+            let destDir = path.join(tempDir, 'dest');
+            let sourceFile = path.join(sourceDir, 'large.bin');
+            let destFile = path.join(destDir, 'large.bin');
+            let options = { deltaUpdate: true, deltaBlockSize: 1024 };
+
+            let content = Buffer.alloc(10 * 1024);
+            for (let idx = 0; idx < content.length; idx++) {
+                content[idx] = idx % 251;
+            }
+
+            await fse.ensureDir(sourceDir);
+            await fsPromise.writeFile(sourceFile, content);
+            await PromiseFolderSync.sync(sourceDir, destDir, options);
+            let destIno = (await fsPromise.stat(destFile)).ino;
+
+            // 只改写内容不同的块
+            content.fill(0, 3 * 1024 + 10, 3 * 1024 + 20);
+            await fsPromise.writeFile(sourceFile, content);
+            await fsPromise.utimes(sourceFile, new Date(), new Date(Date.now() + 5000));
+
+            let syncReport = await PromiseFolderSync.sync(sourceDir, destDir, options);
+            assert.deepEqual(syncReport.deltaUpdated, [{ type: 'file', path: '/large.bin', bytesWritten: 1024 }]);
+            assert.equal(syncReport.getTotals().overwritten, 1);
+            assert.equal(syncReport.bytesCopied, 1024);
+            assert.equal((await fsPromise.stat(destFile)).ino, destIno);
+            assert((await fsPromise.readFile(destFile)).equals(content));
+            assert((await PromiseFolderSync.compare(sourceDir, destDir)).isIdentical());
+
+            // 截断以及扩展目标文件
+            await fsPromise.writeFile(sourceFile, content.subarray(0, 4000));
+            syncReport = await PromiseFolderSync.sync(sourceDir, destDir, options);
+            assert.equal(syncReport.bytesCopied, 0);
+            assert((await fsPromise.readFile(destFile)).equals(content.subarray(0, 4000)));
+
+            await fsPromise.writeFile(sourceFile, content);
+            syncReport = await PromiseFolderSync.sync(sourceDir, destDir, Object.assign({ verify: true }, options));
+            assert.equal(syncReport.bytesCopied, content.length - 3 * 1024);
+            assert.equal(syncReport.getTotals().verified, 1);
+            assert((await fsPromise.readFile(destFile)).equals(content));
+
+            await assert.rejects(PromiseFolderSync.sync(sourceDir, destDir, { deltaBlockSize: 0 }), TypeError);
+
+            await fse.remove(tempDir);
+        });
+
+        it('Test interrupted deltaUpdate', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let sourceDir = path.join(tempDir, 'source');
+            let destDir = path.join(tempDir, 'dest');
+            let sourceFile = path.join(sourceDir, 'large.bin');
+            let destFile = path.join(destDir, 'large.bin');
+            let options = {
+                deltaUpdate: true,
+                deltaBlockSize: 1024,
+                compareStrategy: CompareStrategy.sizeMtime,
+                manifest: true
+            };
+
+            let content = Buffer.alloc(10 * 1024, 1);
+            await fse.ensureDir(sourceDir);
+            await fsPromise.writeFile(sourceFile, content);
+            await PromiseFolderSync.sync(sourceDir, destDir, options);
+
+            content.fill(2, 2 * 1024, 3 * 1024);
+            content.fill(3, 6 * 1024, 7 * 1024);
+            await fsPromise.writeFile(sourceFile, content);
+            await fsPromise.utimes(sourceFile, new Date(), new Date(Date.now() + 5000));
+
+            // 模拟在写入第二个块时中断
+            let write = fs.write;
+            let writeCount = 0;
+
+            fs.write = (...args) => {
+                writeCount++;
+
+                if (writeCount === 2) {
+                    let callback = args[args.length - 1];
+                    process.nextTick(() => {
+                        callback(new Error('Interrupted'));
+                    });
+                    return;
+                }
+
+                write(...args);
+            };
+
+            try {
+                await assert.rejects(PromiseFolderSync.sync(sourceDir, destDir, options), /Interrupted/);
+            } finally {
+                fs.write = write;
+            }
+
+            assert(!(await fsPromise.readFile(destFile)).equals(content));
+
+            // 下一次同步时，即使只比较大小和修改时间，中断的更新也会被发现
+            let syncReport = await PromiseFolderSync.sync(sourceDir, destDir, options);
+            assert.equal(syncReport.deltaUpdated.length, 1);
+            assert((await fsPromise.readFile(destFile)).equals(content));
+
+            await fse.remove(tempDir);
+        });
+
+        it('Test deltaUpdate with linkDest', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let sourceDir = path.join(tempDir, 'source');
+            let snapshot1Dir = path.join(tempDir, 'snapshot1');
+            let snapshot2Dir = path.join(tempDir, 'snapshot2');
+            let options = { deltaUpdate: true, deltaBlockSize: 1024 };
+
+            await fse.copy(testResourceDir, sourceDir);
+            await PromiseFolderSync.sync(sourceDir, snapshot1Dir);
+            await PromiseFolderSync.sync(sourceDir, snapshot2Dir, { linkDest: snapshot1Dir });
+
+            let originalContent = await fsPromise.readFile(path.join(sourceDir, 'test1.txt'));
+            await fsPromise.writeFile(path.join(sourceDir, 'test1.txt'), 'changed');
+
+            // 目标文件是上一个快照的硬链接，所以完整复制而不是直接改写
+            let syncReport = await PromiseFolderSync.sync(sourceDir, snapshot2Dir, options);
+            assert.equal(syncReport.getTotals().overwritten, 1);
+            assert.equal(syncReport.getTotals().deltaUpdated, 0);
+            assert.equal(await fsPromise.readFile(path.join(snapshot2Dir, 'test1.txt'), 'utf8'), 'changed');
+            assert((await fsPromise.readFile(path.join(snapshot1Dir, 'test1.txt'))).equals(originalContent));
+
+            await fse.remove(tempDir);
+        });
+    });
+
+    describe('Test sync with rateLimit', () => {
+        it('Test rateLimit', async () => {
+            let { path: tempDir } = await tmpPromise.dir();
+            let sourceDir = path.join(tempDir, 'source');
+            let destDir1 = path.join(tempDir, 'dest1');
+            let destDir2 = path.join(tempDir, 'dest2');
+            let sourceFile = path.join(sourceDir, 'large.bin');
+
+            let content = Buffer.alloc(10 * 1024, 'abc');
+            await fse.ensureDir(sourceDir);
+            await fsPromise.writeFile(sourceFile, content);
+
+            let startTime = Date.now();
+            await PromiseFolderSync.sync(sourceDir, destDir1, { rateLimit: 20 * 1024 });
+            assert(Date.now() - startTime >= 300);
+            assert((await fsPromise.readFile(path.join(destDir1, 'large.bin'))).equals(content));
+            assert.equal((await fsPromise.stat(path.join(destDir1, 'large.bin'))).mtime.getTime(),
+                (await fsPromise.stat(sourceFile)).mtime.getTime());
+
+            let compareResult = await PromiseFolderSync.compare(sourceDir, destDir1, {
+                compareStrategy: CompareStrategy.hash,
+                rateLimit: 1024 * 1024
+            });
+            assert(compareResult.isIdentical());
+
+            // 同步期间取消速率限制
+            let rateLimiter = new RateLimiter(2048);
+            setTimeout(() => {
+                rateLimiter.setRate(undefined);
+            }, 100);
+
+            startTime = Date.now();
+            await PromiseFolderSync.sync(sourceDir, destDir2, { rateLimit: rateLimiter });
+            assert(Date.now() - startTime < 1500);
+            assert((await fsPromise.readFile(path.join(destDir2, 'large.bin'))).equals(content));
+
+            await assert.rejects(PromiseFolderSync.sync(sourceDir, destDir2, { rateLimit: 0 }), TypeError);
+            assert.throws(() => { rateLimiter.setRate(-1); }, TypeError);
+
+            await fse.remove(tempDir);
+        });
+
+        it('Test adjust RateLimiter', async () => {
+            // 一次申请大量字节时，期间调整的速率也会生效
+            let rateLimiter = new RateLimiter(1024);
+            setTimeout(() => {
+                rateLimiter.setRate(undefined);
+            }, 100);
+
+            let startTime = Date.now();
+            await new Promise(resolve => rateLimiter.consume(100 * 1024, resolve));
+            assert(Date.now() - startTime < 1500);
+
+            // 一开始不限制速率，之后才设置速率
+            let { path: tempDir } = await tmpPromise.dir();
+            let sourceDir = path.join(tempDir, 'source');
+            let destDir = path.join(tempDir, 'dest');
+
+            await fse.ensureDir(sourceDir);
+            await fsPromise.writeFile(path.join(sourceDir, 'large.bin'), Buffer.alloc(10 * 1024, 'abc'));
+
+            rateLimiter = new RateLimiter();
+            startTime = Date.now();
+
+            let syncPromise = PromiseFolderSync.sync(sourceDir, destDir, { rateLimit: rateLimiter });
+            rateLimiter.setRate(20 * 1024);
+            await syncPromise;
+            assert(Date.now() - startTime >= 300);
+
+            await fse.remove(tempDir);
+        });
+    });
 });
\ No newline at end of file